@@ -9,6 +9,10 @@ const dotenv = require("dotenv");
 const jwt = require("jsonwebtoken");
 
 const stripe = require("stripe");
+const nodemailer = require("nodemailer");
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
 dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -52,10 +56,70 @@ let stripeClient;
 if (process.env.STRIPE_SECRET_KEY) {
   stripeClient = stripe(process.env.STRIPE_SECRET_KEY);
   console.log("Stripe initialized");
+} else if (process.env.STRIPE_MOCK === "true") {
+  stripeClient = createMockStripeClient();
+  console.warn("STRIPE_MOCK enabled - using in-memory Stripe client");
 } else {
   console.warn("STRIPE_SECRET_KEY missing - Payments disabled");
   stripeClient = { warning: true }; // Stub
 }
+
+// In-memory stand-in for the few Stripe calls this server makes, for local
+// development and tests (STRIPE_MOCK=true). Every session is reported as paid.
+function createMockStripeClient() {
+  const sessions = new Map();
+  const refunds = [];
+  let counter = 0;
+  const nextId = (prefix) => `${prefix}_mock_${Date.now()}_${++counter}`;
+
+  return {
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          const id = nextId("cs");
+          const session = {
+            id,
+            url: (params.success_url || "").replace("{CHECKOUT_SESSION_ID}", id),
+            payment_status: "paid",
+            payment_intent: nextId("pi"),
+            metadata: params.metadata || {},
+          };
+          sessions.set(id, session);
+          return session;
+        },
+        retrieve: async (id) => {
+          const session = sessions.get(id);
+          if (!session) throw new Error(`No such checkout session: ${id}`);
+          return session;
+        },
+      },
+    },
+    refunds: {
+      create: async (params) => {
+        const refund = {
+          id: nextId("re"),
+          object: "refund",
+          status: "succeeded",
+          amount: params.amount,
+          charge: params.charge || null,
+          payment_intent: params.payment_intent,
+          metadata: params.metadata || {},
+        };
+        refunds.push(refund);
+        return refund;
+      },
+      list: async ({ charge, payment_intent } = {}) => ({
+        object: "list",
+        data: refunds.filter(
+          (refund) =>
+            (!charge || refund.charge === charge) &&
+            (!payment_intent || refund.payment_intent === payment_intent)
+        ),
+        has_more: false,
+      }),
+    },
+  };
+}
 //  
 // MIDDLEWARE
 //  
@@ -73,8 +137,120 @@ app.use(
   })
 );
 
-app.use(express.json({ limit: "5mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+// Behind a proxy (e.g. a PaaS router) set TRUST_PROXY to the hop count so
+// req.ip is the client address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Stripe webhook must see the raw body, so it's registered before express.json()
+app.post(
+  "/api/payment/webhook",
+  express.raw({ type: "application/json" }),
+  handleStripeWebhook
+);
+
+app.use(express.json({ limit: "1mb" }));
+app.use(express.urlencoded({ extended: true, limit: "1mb" }));
+
+//  
+// REQUEST SANITIZATION
+// Strips Mongo operator ($-prefixed) and dotted keys from bodies, rejects
+// oversized or multi-valued input, and validates ObjectId route params.
+//  
+const MAX_STRING_LENGTH = 10000;
+const MAX_QUERY_LENGTH = 200;
+// EventSource clients can't send headers, so the event stream takes the
+// Firebase ID token (~1KB) as ?token=
+const MAX_TOKEN_QUERY_LENGTH = 4096;
+const MAX_ARRAY_LENGTH = 500;
+const MAX_BODY_DEPTH = 10;
+
+const sendBadRequest = (res, message, errors) =>
+  res.status(400).json({ success: false, message, ...(errors && { errors }) });
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !Buffer.isBuffer(value);
+
+// Returns { value } with unsafe keys removed, or { error }
+function sanitizeInput(value, depth = 0) {
+  if (depth > MAX_BODY_DEPTH) {
+    return { error: "Request body is nested too deeply" };
+  }
+
+  if (typeof value === "string") {
+    return value.length > MAX_STRING_LENGTH
+      ? { error: `Text fields are limited to ${MAX_STRING_LENGTH} characters` }
+      : { value };
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length > MAX_ARRAY_LENGTH) {
+      return { error: `Lists are limited to ${MAX_ARRAY_LENGTH} items` };
+    }
+    const items = [];
+    for (const item of value) {
+      const result = sanitizeInput(item, depth + 1);
+      if (result.error) return result;
+      items.push(result.value);
+    }
+    return { value: items };
+  }
+
+  if (isPlainObject(value)) {
+    const clean = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (key.startsWith("$") || key.includes(".")) continue;
+      const result = sanitizeInput(item, depth + 1);
+      if (result.error) return result;
+      clean[key] = result.value;
+    }
+    return { value: clean };
+  }
+
+  return { value };
+}
+
+app.use((req, res, next) => {
+  for (const [key, value] of Object.entries(req.query)) {
+    if (typeof value !== "string") {
+      return sendBadRequest(res, `Query parameter "${key}" must be a single value`);
+    }
+    const maxLength =
+      key === "token" ? MAX_TOKEN_QUERY_LENGTH : MAX_QUERY_LENGTH;
+    if (value.length > maxLength) {
+      return sendBadRequest(
+        res,
+        `Query parameter "${key}" is limited to ${maxLength} characters`
+      );
+    }
+  }
+
+  if (isPlainObject(req.body) || Array.isArray(req.body)) {
+    const { value, error } = sanitizeInput(req.body);
+    if (error) return sendBadRequest(res, error);
+    req.body = value;
+  }
+
+  next();
+});
+
+// Route ids must be 24-char hex ObjectIds; checked once here for every route
+const OBJECT_ID_PARAMS = ["id", "requestId", "userId", "vendorId"];
+const isObjectIdString = (value) =>
+  typeof value === "string" && /^[a-f\d]{24}$/i.test(value);
+
+app.param(OBJECT_ID_PARAMS, (req, res, next, value, name) => {
+  if (!isObjectIdString(value)) {
+    return sendBadRequest(res, `Invalid ${name}`);
+  }
+  next();
+});
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -106,6 +282,40 @@ let ticketsCollection;
 let bookingCollection;
 let transactionsCollection;
 let roleRequestsCollection;
+let stripeEventsCollection;
+let seatHoldsCollection;
+let seatAssignmentsCollection;
+let auditLogCollection;
+let emailOutboxCollection;
+let notificationsCollection;
+let promoCodesCollection;
+let promoRedemptionsCollection;
+let exchangeRatesCollection;
+let reviewsCollection;
+let waitlistCollection;
+let schedulesCollection;
+
+// Points the module's collection handles at `database` (tests pass a fake)
+function bindCollections(database) {
+  db = database;
+  roleRequestsCollection = db.collection("roleRequests");
+  usersCollection = db.collection("users");
+  ticketsCollection = db.collection("ticketsCollection");
+  bookingCollection = db.collection("bookingCollection");
+  transactionsCollection = db.collection("transactionCollection");
+  stripeEventsCollection = db.collection("stripeEvents");
+  seatHoldsCollection = db.collection("seatHolds");
+  seatAssignmentsCollection = db.collection("seatAssignments");
+  auditLogCollection = db.collection("auditLog");
+  emailOutboxCollection = db.collection("emailOutbox");
+  notificationsCollection = db.collection("notifications");
+  promoCodesCollection = db.collection("promoCodes");
+  promoRedemptionsCollection = db.collection("promoRedemptions");
+  exchangeRatesCollection = db.collection("exchangeRates");
+  reviewsCollection = db.collection("reviews");
+  waitlistCollection = db.collection("waitlist");
+  schedulesCollection = db.collection("schedules");
+}
 
 async function connectDB() {
   try {
@@ -113,14 +323,10 @@ async function connectDB() {
     await client.db("admin").command({ ping: 1 });
     console.log("✅ MongoDB Connected Successfully");
 
-    db = client.db("MavenusDB");
+    bindCollections(client.db("MavenusDB"));
 
-    // In connectDB() function, add:
-    roleRequestsCollection = db.collection("roleRequests");
-    usersCollection = db.collection("users");
-    ticketsCollection = db.collection("ticketsCollection");
-    bookingCollection = db.collection("bookingCollection");
-    transactionsCollection = db.collection("transactionCollection");
+    // Reject malformed documents no matter who writes them
+    await installCollectionValidators();
 
     // Create indexes
     await ticketsCollection.createIndex({ status: 1, isAdvertised: 1 });
@@ -128,11 +334,76 @@ async function connectDB() {
     // Added index to make vendorEmail queries fast and reliable
     await ticketsCollection.createIndex({ vendorEmail: 1 });
     await ticketsCollection.createIndex({ from: 1, to: 1 });
+    await ticketsCollection.createIndex(
+      { title: "text", from: "text", to: "text" },
+      { name: "ticket_text", weights: { title: 3, from: 2, to: 2 } }
+    );
+    await ticketsCollection.createIndex({ status: 1, departureDate: 1 });
+    await ticketsCollection.createIndex({ status: 1, price: 1 });
     await bookingCollection.createIndex({ userId: 1 });
     await bookingCollection.createIndex({ ticketId: 1 });
     await usersCollection.createIndex({ email: 1 }, { unique: true });
     await bookingCollection.createIndex({ vendorId: 1 });
     await bookingCollection.createIndex({ vendorEmail: 1 }); 
+    await bookingCollection.createIndex({ transactionId: 1 });
+    // A Stripe refund is recorded once (see recordRefund)
+    await transactionsCollection.createIndex(
+      { refundId: 1 },
+      { unique: true, partialFilterExpression: { refundId: { $type: "string" } } }
+    );
+    await stripeEventsCollection.createIndex({ eventId: 1 }, { unique: true });
+    await seatHoldsCollection.createIndex({ bookingId: 1 }, { unique: true });
+    await seatHoldsCollection.createIndex({ status: 1, expiresAt: 1 });
+    // Replaced by the leg-aware index below (route tickets sell a seat per leg)
+    await seatAssignmentsCollection
+      .dropIndex("ticketId_1_seatNumber_1")
+      .catch(() => {});
+    await seatAssignmentsCollection.createIndex(
+      { ticketId: 1, seatNumber: 1, leg: 1 },
+      { unique: true }
+    );
+    await seatAssignmentsCollection.createIndex({ bookingId: 1 });
+    await auditLogCollection.createIndex({ createdAt: -1 });
+    await auditLogCollection.createIndex({ "actor.email": 1, createdAt: -1 });
+    await auditLogCollection.createIndex({ "target.id": 1, createdAt: -1 });
+    await auditLogCollection.createIndex({ action: 1, createdAt: -1 });
+    await emailOutboxCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+    await emailOutboxCollection.createIndex({ to: 1, createdAt: -1 });
+    await notificationsCollection.createIndex({ userEmail: 1, createdAt: -1 });
+    await notificationsCollection.createIndex({ userEmail: 1, read: 1 });
+    await promoCodesCollection.createIndex({ code: 1 }, { unique: true });
+    await promoCodesCollection.createIndex({ vendorId: 1 });
+    // One slot per allowed use; see reservePromoRedemption
+    await promoRedemptionsCollection.createIndex(
+      { promoCodeId: 1, userEmail: 1, slot: 1 },
+      { unique: true }
+    );
+    await promoRedemptionsCollection.createIndex(
+      { bookingId: 1 },
+      { unique: true }
+    );
+    await exchangeRatesCollection.createIndex({ currency: 1 }, { unique: true });
+    await reviewsCollection.createIndex({ bookingId: 1 }, { unique: true });
+    await reviewsCollection.createIndex({ ticketId: 1, status: 1, createdAt: -1 });
+    await reviewsCollection.createIndex({ vendorId: 1, status: 1, createdAt: -1 });
+    await reviewsCollection.createIndex({ vendorEmail: 1 });
+    await reviewsCollection.createIndex({ userEmail: 1 });
+    await ticketsCollection.createIndex({ status: 1, ratingAverage: -1 });
+    await waitlistCollection.createIndex(
+      { ticketId: 1, userEmail: 1 },
+      { unique: true, partialFilterExpression: { active: true } }
+    );
+    await waitlistCollection.createIndex({ ticketId: 1, status: 1, createdAt: 1 });
+    await waitlistCollection.createIndex({ userEmail: 1, createdAt: -1 });
+    await waitlistCollection.createIndex({ "offer.bookingId": 1 });
+    // One generated ticket per schedule date (see SCHEDULES)
+    await ticketsCollection.createIndex(
+      { scheduleId: 1, scheduleDate: 1 },
+      { unique: true, partialFilterExpression: { scheduleId: { $exists: true } } }
+    );
+    await schedulesCollection.createIndex({ vendorId: 1, createdAt: -1 });
+    await schedulesCollection.createIndex({ vendorEmail: 1 });
+    await schedulesCollection.createIndex({ status: 1, active: 1 });
 
     console.log("Database: MavenusDB");
     console.log("Collections and indexes ready");
@@ -142,6 +413,720 @@ async function connectDB() {
   }
 }
 
+//  
+// ROLE-BASED AUTHORIZATION MIDDLEWARE
+// Must run after verifyToken. Loads the user document once per request
+// (req.user) and rejects callers whose role is not in the allowed list.
+//  
+const USER_ROLES = ["user", "vendor", "admin"];
+
+const sendForbidden = (res, message) =>
+  res.status(403).json({ success: false, message });
+
+const loadUser = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      const user = await usersCollection.findOne({ email: req.tokenEmail });
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: "User not found in database. Please re-login.",
+        });
+      }
+      req.user = { ...user, role: user.role || "user" };
+    }
+    next();
+  } catch (error) {
+    console.error("❌ loadUser error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// requireRole("admin"), requireRole("vendor", "admin"), ...
+// Fraud-flagged accounts are blocked unless { allowFraud: true } is passed last.
+const requireRole = (...args) => {
+  const options =
+    typeof args[args.length - 1] === "object" ? args.pop() : {};
+  const allowedRoles = args;
+
+  return [
+    loadUser,
+    (req, res, next) => {
+      const { role, isFraud } = req.user;
+
+      if (isFraud && !options.allowFraud) {
+        return sendForbidden(
+          res,
+          "Your account has been flagged. This action is not allowed."
+        );
+      }
+
+      if (allowedRoles.length > 0 && !allowedRoles.includes(role)) {
+        return sendForbidden(
+          res,
+          `Forbidden: requires ${allowedRoles.join(" or ")} role`
+        );
+      }
+
+      next();
+    },
+  ];
+};
+
+const verifyAdmin = requireRole("admin");
+// Admins may act on vendor routes (e.g. moderating listings)
+const verifyVendor = requireRole("vendor", "admin");
+
+//  
+// TICKET OWNERSHIP & FIELD WHITELISTS
+//  
+
+// Fields a vendor may set when creating or editing their own ticket
+const VENDOR_TICKET_FIELDS = [
+  "title",
+  "from",
+  "to",
+  "transportType",
+  "price",
+  "ticketQuantity",
+  "departureDate",
+  "departureTime",
+  "perks",
+  "image",
+  "description",
+  "currency",
+];
+
+// Moderation fields only an admin may change through PUT /api/tickets/:id
+const ADMIN_TICKET_FIELDS = ["status", "isAdvertised"];
+
+// Traveler-supplied extras stored on a booking; everything else is server-owned
+const BOOKING_CLIENT_FIELDS = [
+  "userName",
+  "userPhoto",
+  "passengerName",
+  "passengerPhone",
+  "note",
+];
+
+const pickFields = (source, fields) =>
+  fields.reduce((picked, field) => {
+    if (source && source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+
+// Same matching rules as /api/tickets/vendor/me: email, string id or ObjectId
+const isTicketOwner = (ticket, user) =>
+  ticket.vendorEmail === user.email ||
+  String(ticket.vendorId) === user._id.toString();
+
+// Loads req.params.id into req.ticket and allows only its vendor or an admin.
+// Must run after verifyVendor.
+const verifyTicketOwner = async (req, res, next) => {
+  try {
+    const ticket = await ticketsCollection.findOne({
+      _id: new ObjectId(req.params.id),
+    });
+
+    if (!ticket) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Ticket not found" });
+    }
+
+    if (req.user.role !== "admin" && !isTicketOwner(ticket, req.user)) {
+      return sendForbidden(res, "Forbidden: you do not own this ticket");
+    }
+
+    req.ticket = ticket;
+    next();
+  } catch (error) {
+    console.error("❌ verifyTicketOwner error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+//  
+// AUDIT LOG
+// Append-only record of privileged mutations: entries are only ever inserted.
+// Written after the change succeeds; a failed write is logged, not surfaced,
+// since the mutation itself has already happened.
+//  
+const AUDIT_ACTIONS = [
+  "user.role.update",
+  "user.fraud.update",
+  "ticket.status.update",
+  "ticket.advertise.update",
+  "roleRequest.approve",
+  "roleRequest.reject",
+  "exchangeRate.update",
+  "review.hide",
+  "review.unhide",
+  "schedule.status.update",
+];
+
+// target: { type: "user" | "ticket" | "exchangeRate" | "review" | "schedule",
+// id, label }
+async function recordAudit(req, { action, target, before, after, meta }) {
+  const entry = {
+    action,
+    actor: {
+      id: req.user?._id?.toString() || null,
+      email: req.user?.email || req.tokenEmail || null,
+      role: req.user?.role || null,
+    },
+    target: {
+      type: target.type,
+      id: String(target.id),
+      label: target.label || null,
+    },
+    before: before ?? null,
+    after: after ?? null,
+    ...(meta && { meta }),
+    ip: req.ip || null,
+    userAgent: req.get("user-agent") || null,
+    createdAt: new Date(),
+  };
+
+  try {
+    await auditLogCollection.insertOne(entry);
+  } catch (error) {
+    console.error("❌ Failed to write audit entry:", action, error);
+  }
+}
+
+//  
+// CURRENCIES
+// Each ticket is priced in its own currency, and its bookings keep it.
+// Admins maintain an exchange-rate table (no live feed): `rate` is the
+// value of one unit of a currency in BASE_CURRENCY. Rates are used to show
+// converted prices and to store base-currency amounts for reporting.
+// Charging always happens in the ticket's currency.
+//  
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "BDT").toUpperCase();
+
+// Tickets and bookings created before currencies existed were priced in BDT
+const LEGACY_CURRENCY = "BDT";
+
+// Digits after the decimal point of each supported currency. Stripe takes
+// amounts in minor units: 0-decimal currencies are charged in whole units.
+const CURRENCY_DECIMALS = {
+  BDT: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  INR: 2,
+  PKR: 2,
+  NPR: 2,
+  LKR: 2,
+  CNY: 2,
+  SGD: 2,
+  MYR: 2,
+  THB: 2,
+  AED: 2,
+  SAR: 2,
+  QAR: 2,
+  CAD: 2,
+  AUD: 2,
+  JPY: 0,
+  KRW: 0,
+  VND: 0,
+  CLP: 0,
+  BHD: 3,
+  KWD: 3,
+  OMR: 3,
+  JOD: 3,
+};
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_DECIMALS);
+const EXCHANGE_RATE_CACHE_MS = 60 * 1000;
+
+const currencyDecimals = (currency) => CURRENCY_DECIMALS[currency] ?? 2;
+
+const priceCurrency = (doc) => doc.currency || LEGACY_CURRENCY;
+
+const roundMoney = (amount, currency = BASE_CURRENCY) => {
+  const factor = 10 ** currencyDecimals(currency);
+  return Math.round(amount * factor) / factor;
+};
+
+const formatMoney = (amount, currency) => `${amount || 0} ${currency}`;
+
+// Amount in the smallest unit Stripe charges (cents, paisa, whole yen)
+function toMinorUnits(amount, currency) {
+  const decimals = currencyDecimals(currency);
+  const minor = Math.round(amount * 10 ** decimals);
+  // Stripe requires 3-decimal amounts to end in 0
+  return decimals === 3 ? Math.round(minor / 10) * 10 : minor;
+}
+
+const fromMinorUnits = (minor, currency) =>
+  minor / 10 ** currencyDecimals(currency);
+
+let exchangeRateCache = null;
+
+// Map of currency → rate (BASE_CURRENCY is always 1), cached briefly
+async function getExchangeRates() {
+  if (
+    exchangeRateCache &&
+    Date.now() - exchangeRateCache.loadedAt < EXCHANGE_RATE_CACHE_MS
+  ) {
+    return exchangeRateCache.rates;
+  }
+  const docs = await exchangeRatesCollection.find({}).toArray();
+  const rates = new Map(docs.map((doc) => [doc.currency, doc.rate]));
+  rates.set(BASE_CURRENCY, 1);
+  exchangeRateCache = { rates, loadedAt: Date.now() };
+  return rates;
+}
+
+const clearExchangeRateCache = () => {
+  exchangeRateCache = null;
+};
+
+// null when either currency has no rate
+function convertAmount(amount, from, to, rates) {
+  const fromRate = rates.get(from);
+  const toRate = rates.get(to);
+  if (!fromRate || !toRate) return null;
+  return roundMoney((amount * fromRate) / toRate, to);
+}
+
+// The original amount plus its BASE_CURRENCY value. Converts at
+// `lockedRate` (the rate stored on the booking) so a payment and its
+// refunds net out; records without one use today's rate.
+async function baseAmountFields(amount, currency, lockedRate = null) {
+  const rates = await getExchangeRates();
+  const exchangeRate = lockedRate ?? rates.get(currency) ?? null;
+  return {
+    amount,
+    currency,
+    baseCurrency: BASE_CURRENCY,
+    exchangeRate,
+    baseAmount:
+      exchangeRate === null ? null : roundMoney(amount * exchangeRate),
+  };
+}
+
+// Validates a ?currency= display currency. Returns { currency } (null when
+// not requested), { rates } to convert with, or { error }.
+async function displayCurrency(query) {
+  if (!query.currency) return { currency: null };
+  const currency = String(query.currency).toUpperCase();
+  const rates = await getExchangeRates();
+  if (!rates.has(currency)) {
+    return { error: `No exchange rate is set for ${currency}` };
+  }
+  return { currency, rates };
+}
+
+// Adds prices converted to a display currency to a presented ticket
+function withConvertedPrices(ticket, currency, rates) {
+  const convert = (amount) =>
+    convertAmount(amount, priceCurrency(ticket), currency, rates);
+  return {
+    ...ticket,
+    converted: {
+      currency,
+      effectivePrice: convert(ticket.effectivePrice),
+      ...(ticket.segment && {
+        segmentPrice: convert(ticket.segment.effectivePrice),
+      }),
+    },
+  };
+}
+
+// Aggregation expressions for base-currency reporting, given today's
+// `rates`. Records without a stored rate (from before currencies existed,
+// which are in LEGACY_CURRENCY, or made while their currency had no rate)
+// convert at today's rate; with no rate at all they are left out.
+function baseValueExpressions(rates) {
+  const currentRate = {
+    $switch: {
+      branches: [...rates].map(([currency, rate]) => ({
+        case: {
+          $eq: [{ $ifNull: ["$currency", LEGACY_CURRENCY] }, currency],
+        },
+        then: rate,
+      })),
+      default: null,
+    },
+  };
+  const bookingBaseValue = (amount) => ({
+    $multiply: [amount, { $ifNull: ["$exchangeRate", currentRate] }],
+  });
+
+  return {
+    transactionBaseAmount: {
+      $ifNull: ["$baseAmount", { $multiply: ["$amount", currentRate] }],
+    },
+    bookingBaseValue,
+    netBookingValue: bookingBaseValue({
+      $subtract: ["$totalPrice", { $ifNull: ["$refundedAmount", 0] }],
+    }),
+  };
+}
+
+//  
+// PAYLOAD SCHEMAS
+// One declarative description per payload. validateBody() checks and
+// coerces request bodies against it (returning field-level errors), and
+// toJsonSchema() compiles the same description into the $jsonSchema
+// collection validators (see COLLECTION VALIDATORS).
+// Field spec: { type, required, min, max, minLength, maxLength, enum,
+// pattern, items, maxItems }. type is string | number | integer | boolean | date
+// (normalized to "YYYY-MM-DD") | datetime (a Date) | array | object. `required` may be a
+// function of the body for conditional fields (not enforced in Mongo).
+//  
+const EMAIL_PATTERN = "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$";
+const TIME_PATTERN = "^\\d{1,2}:\\d{2}(\\s*[AaPp][Mm])?$";
+const OBJECT_ID_PATTERN = "^[a-fA-F0-9]{24}$";
+
+const ticketSchema = {
+  title: { type: "string", required: true, minLength: 3, maxLength: 200 },
+  from: { type: "string", required: (body) => !body.route, maxLength: 100 },
+  to: { type: "string", required: (body) => !body.route, maxLength: 100 },
+  transportType: { type: "string", required: true, maxLength: 50 },
+  price: { type: "number", required: (body) => !body.route, min: 0 },
+  ticketQuantity: {
+    type: "integer",
+    required: (body) => !body.seatLayout,
+    min: 0,
+    max: 10000,
+  },
+  departureDate: { type: "date", required: true },
+  departureTime: { type: "string", pattern: TIME_PATTERN },
+  perks: { type: "array", items: { type: "string", maxLength: 50 } },
+  image: { type: "string", maxLength: 2000 },
+  description: { type: "string", maxLength: 5000 },
+  route: { type: "object" },
+  seatLayout: { type: "object" },
+  pricingRules: { type: "object" },
+  currency: { type: "string", enum: SUPPORTED_CURRENCIES },
+};
+
+// PUT /api/tickets/:id: any subset of the ticket, plus admin moderation fields
+const ticketUpdateSchema = {
+  ...ticketSchema,
+  status: { type: "string", enum: ["pending", "approved", "rejected"] },
+  isAdvertised: { type: "boolean" },
+};
+
+// Seats one booking may take, chosen or not
+const MAX_BOOKING_SEATS = 50;
+
+const bookingSchema = {
+  ticketId: { type: "string", required: true, pattern: OBJECT_ID_PATTERN },
+  bookingQuantity: { type: "integer", min: 1, max: MAX_BOOKING_SEATS },
+  seats: {
+    type: "array",
+    items: { type: "string", maxLength: 4 },
+    maxItems: MAX_BOOKING_SEATS,
+  },
+  fromStop: { type: "string", maxLength: 100 },
+  toStop: { type: "string", maxLength: 100 },
+  userName: { type: "string", maxLength: 100 },
+  userPhoto: { type: "string", maxLength: 2000 },
+  passengerName: { type: "string", maxLength: 100 },
+  passengerPhone: { type: "string", maxLength: 30 },
+  note: { type: "string", maxLength: 500 },
+  promoCode: { type: "string", maxLength: 30 },
+};
+
+const roleRequestSchema = {
+  requestedRole: { type: "string", required: true, enum: ["vendor", "admin"] },
+};
+
+const roleDecisionSchema = {
+  action: { type: "string", required: true, enum: ["approve", "reject"] },
+  rejectionReason: { type: "string", maxLength: 500 },
+};
+
+const promoCodeSchema = {
+  code: { type: "string", required: true, pattern: "^[A-Za-z0-9_-]{3,30}$" },
+  description: { type: "string", maxLength: 200 },
+  discountType: { type: "string", required: true, enum: ["percent", "fixed"] },
+  discountValue: { type: "number", required: true, min: 0.01 },
+  // Caps a percentage discount
+  maxDiscount: { type: "number", min: 0 },
+  minSpend: { type: "number", min: 0 },
+  startsAt: { type: "datetime" },
+  endsAt: { type: "datetime" },
+  usageLimit: { type: "integer", min: 1 },
+  perUserLimit: { type: "integer", min: 1, max: 100 },
+  vendorId: { type: "string", pattern: OBJECT_ID_PATTERN },
+  transportTypes: { type: "array", items: { type: "string", maxLength: 50 } },
+  routes: { type: "array", items: { type: "object" } },
+  ticketIds: {
+    type: "array",
+    items: { type: "string", pattern: OBJECT_ID_PATTERN },
+  },
+  active: { type: "boolean" },
+  // Currency of the fixed amounts above (defaults to BASE_CURRENCY)
+  currency: { type: "string", enum: SUPPORTED_CURRENCIES },
+};
+
+// The code itself can't change once customers may have it
+const promoCodeUpdateSchema = { ...promoCodeSchema };
+delete promoCodeUpdateSchema.code;
+
+// Same fields as a booking, so the quote matches what booking would charge
+const promoValidateSchema = {
+  ...bookingSchema,
+  promoCode: { ...bookingSchema.promoCode, required: true },
+};
+
+// POST /api/boarding/check-in: a scanned e-ticket token, optionally limited
+// to some of the booking's passengers or seats
+const checkInSchema = {
+  token: { type: "string", required: true, maxLength: 2000 },
+  passengers: { type: "integer", min: 1, max: 50 },
+  seats: bookingSchema.seats,
+};
+
+// POST /api/reviews: one per booking
+const reviewSchema = {
+  bookingId: { type: "string", required: true, pattern: OBJECT_ID_PATTERN },
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  comment: { type: "string", maxLength: 2000 },
+};
+
+const reviewReplySchema = {
+  text: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+};
+
+const REVIEW_STATUSES = ["visible", "hidden"];
+
+const reviewModerationSchema = {
+  hidden: { type: "boolean", required: true },
+  reason: { type: "string", maxLength: 500 },
+};
+
+// POST /api/tickets/:id/waitlist (fromStop/toStop pick a route segment)
+const waitlistSchema = {
+  quantity: bookingSchema.bookingQuantity,
+  fromStop: bookingSchema.fromStop,
+  toStop: bookingSchema.toStop,
+};
+
+const WAITLIST_STATUSES = [
+  "waiting",
+  "offered",
+  "booked",
+  "expired",
+  "cancelled",
+];
+
+// POST /api/schedules: a ticket without its date, plus when it runs.
+// "weekly" runs on `days` (0 = Sunday ... 6 = Saturday).
+const SCHEDULE_FREQUENCIES = ["daily", "weekdays", "weekly"];
+
+const scheduleSchema = {
+  ...ticketSchema,
+  frequency: { type: "string", required: true, enum: SCHEDULE_FREQUENCIES },
+  days: {
+    type: "array",
+    required: (body) => body.frequency === "weekly",
+    items: { type: "integer", min: 0, max: 6 },
+  },
+  startDate: { type: "date", required: true },
+  endDate: { type: "date" },
+  // How far ahead tickets are generated (SCHEDULE_HORIZON_DAYS by default)
+  horizonDays: { type: "integer", min: 1, max: 90 },
+  active: { type: "boolean" },
+};
+delete scheduleSchema.departureDate;
+
+// PUT /api/schedules/:id/dates/:date: skip the date, or change its trip
+const scheduleDateSchema = {
+  skip: { type: "boolean" },
+  price: ticketSchema.price,
+  departureTime: ticketSchema.departureTime,
+  ticketQuantity: ticketSchema.ticketQuantity,
+};
+
+// POST /api/bookings/:id/cancel
+const bookingCancelSchema = {
+  reason: { type: "string", maxLength: 500 },
+};
+
+// POST /api/bookings/:id/refund: the whole refundable amount unless
+// applyPolicy is set or an admin passes an amount
+const bookingRefundSchema = {
+  amount: { type: "number" },
+  applyPolicy: { type: "boolean" },
+  reason: { type: "string", maxLength: 500 },
+};
+
+const scheduleStatusSchema = {
+  status: { type: "string", required: true, enum: ["approved", "rejected"] },
+};
+
+// PUT /api/admin/tickets/:id/status
+const ticketStatusSchema = {
+  status: { ...ticketUpdateSchema.status, required: true },
+};
+
+// PUT /api/admin/tickets/:id/advertise
+const ticketAdvertiseSchema = {
+  isAdvertised: { ...ticketUpdateSchema.isAdvertised, required: true },
+};
+
+// PUT /api/admin/users/:id/fraud
+const userFraudSchema = {
+  isFraud: { type: "boolean", required: true },
+};
+
+// PUT /api/admin/exchange-rates/:currency: value of one unit in BASE_CURRENCY
+const exchangeRateSchema = {
+  rate: { type: "number", required: true, min: 0.000001 },
+};
+
+const notificationPreferencesSchema = {
+  email: { type: "boolean" },
+  bookings: { type: "boolean" },
+  payments: { type: "boolean" },
+  roleRequests: { type: "boolean" },
+  tickets: { type: "boolean" },
+};
+
+const userProfileSchema = {
+  email: { type: "string", required: true, pattern: EMAIL_PATTERN, maxLength: 254 },
+  displayName: { type: "string", maxLength: 100 },
+  photoURL: { type: "string", maxLength: 2000 },
+  uid: { type: "string", maxLength: 128 },
+  password: { type: "string", maxLength: 128 },
+};
+
+// Coerces one value to its spec. Returns { value } or { error }.
+function coerceField(spec, raw) {
+  let value = raw;
+
+  switch (spec.type) {
+    case "string":
+      if (typeof value === "number") value = String(value);
+      if (typeof value !== "string") return { error: "must be a string" };
+      value = value.trim();
+      if (spec.minLength !== undefined && value.length < spec.minLength) {
+        return { error: `must be at least ${spec.minLength} characters` };
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return { error: `must be at most ${spec.maxLength} characters` };
+      }
+      if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+        return { error: "has an invalid format" };
+      }
+      break;
+
+    case "number":
+    case "integer":
+      if (typeof value === "string" && value.trim() !== "") value = Number(value);
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: "must be a number" };
+      }
+      if (spec.type === "integer" && !Number.isInteger(value)) {
+        return { error: "must be a whole number" };
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return { error: `must be at least ${spec.min}` };
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return { error: `must be at most ${spec.max}` };
+      }
+      break;
+
+    case "boolean":
+      if (value === "true") value = true;
+      if (value === "false") value = false;
+      if (typeof value !== "boolean") return { error: "must be true or false" };
+      break;
+
+    case "date": {
+      const date = new Date(value);
+      if (typeof value !== "string" || isNaN(date.getTime())) {
+        return { error: "must be a valid date" };
+      }
+      value = /^\d{4}-\d{2}-\d{2}/.test(value)
+        ? value.slice(0, 10)
+        : date.toISOString().slice(0, 10);
+      break;
+    }
+
+    case "datetime":
+      value = new Date(value);
+      if (typeof raw !== "string" || isNaN(value.getTime())) {
+        return { error: "must be a valid date and time" };
+      }
+      break;
+
+    case "array":
+      if (!Array.isArray(value)) return { error: "must be a list" };
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        return { error: `must have at most ${spec.maxItems} items` };
+      }
+      if (spec.items) {
+        const items = [];
+        for (const item of value) {
+          const result = coerceField(spec.items, item);
+          if (result.error) return { error: `items ${result.error}` };
+          items.push(result.value);
+        }
+        value = items;
+      }
+      break;
+
+    case "object":
+      if (!isPlainObject(value)) return { error: "must be an object" };
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return { error: `must be one of: ${spec.enum.join(", ")}` };
+  }
+  return { value };
+}
+
+// Validates `body` against `schema`, dropping unknown fields.
+// Returns { value, errors } where errors is [{ field, message }].
+function validateSchema(schema, body, { partial = false } = {}) {
+  const input = isPlainObject(body) ? body : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (raw === undefined || raw === null || raw === "") {
+      const required =
+        typeof spec.required === "function"
+          ? spec.required(input)
+          : spec.required;
+      if (required && !partial) {
+        errors.push({ field, message: `${field} is required` });
+      }
+      continue;
+    }
+
+    const result = coerceField(spec, raw);
+    if (result.error) {
+      errors.push({ field, message: `${field} ${result.error}` });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+// Route middleware: replaces req.body with the coerced payload or answers 400
+const validateBody = (schema, options) => (req, res, next) => {
+  const { value, errors } = validateSchema(schema, req.body, options);
+  if (errors.length > 0) {
+    return sendBadRequest(res, "Validation failed", errors);
+  }
+  req.body = value;
+  next();
+};
+
 // GET current user info (for useRole hook)
 // FIX 1: GET current user info (FIXED - add better error handling)
 app.get("/api/auth/me", verifyToken, async (req, res) => {
@@ -202,7 +1187,7 @@ app.get("/api/debug/me", verifyToken, async (req, res) => {
 });
 
 // FIX 2: User registration/login route (ENSURE ROLE IS SAVED)
-app.post("/api/user", async (req, res) => {
+app.post("/api/user", validateBody(userProfileSchema), async (req, res) => {
   try {
     const userData = req.body;
     console.log("🔍 /user - Received data:", userData.email); // Debug
@@ -295,1222 +1280,7369 @@ app.get("/api/user/role", verifyToken, async (req, res) => {
   res.send({ role: result?.role });
 });
 //  
-// TICKET ROUTES (PROTECTED)
+// SEAT INVENTORY LEDGER
+// ticketQuantity is the number of seats offered. Every booking places a
+// time-limited hold (seatHolds collection) that is converted to "sold" on
+// payment or "released" on rejection, cancellation, refund or expiry. The
+// heldQuantity/soldQuantity counters on the ticket mirror the ledger so the
+// availability check and the hold happen in one atomic update.
 //  
+const SEAT_HOLD_MINUTES = Number(process.env.SEAT_HOLD_MINUTES) || 24 * 60;
+const SEAT_HOLD_SWEEP_MS = 60 * 1000;
+
+const holdExpiry = (minutes = SEAT_HOLD_MINUTES) =>
+  new Date(Date.now() + minutes * 60 * 1000);
+
+const ticketCapacity = (ticket) => Number(ticket.ticketQuantity) || 0;
+
+// Seats still free on a ticket. Route tickets (see MULTI-STOP ROUTES) track
+// load per leg, so availability for a segment is limited by its busiest leg;
+// without `legs` the whole route is checked.
+function availableSeats(ticket, legs = null) {
+  if (!ticket.route) {
+    return Math.max(
+      0,
+      ticketCapacity(ticket) -
+        (ticket.heldQuantity || 0) -
+        (ticket.soldQuantity || 0)
+    );
+  }
 
-// GET all approved tickets
-app.get("/api/tickets", async (req, res) => {
-  try {
-    const { from, to, transportType, sortBy, page = 1, limit = 9 } = req.query;
-
-    let query = { status: "approved" };
+  const { start, end } = legs || fullRouteLegs(ticket);
+  let busiest = 0;
+  for (let leg = start; leg < end; leg++) {
+    const load =
+      (ticket.legHeld?.[leg] || 0) + (ticket.legSold?.[leg] || 0);
+    busiest = Math.max(busiest, load);
+  }
+  return Math.max(0, ticketCapacity(ticket) - busiest);
+}
 
-    if (from) query.from = { $regex: from, $options: "i" };
-    if (to) query.to = { $regex: to, $options: "i" };
-    if (transportType) query.transportType = transportType;
+// A ticket as clients see it: free seats and today's price (see DYNAMIC PRICING)
+const presentTicket = (ticket) => ({
+  ...ticket,
+  currency: priceCurrency(ticket),
+  availableQuantity: availableSeats(ticket),
+  ...pricedTicketFields(ticket),
+});
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+// Mongo expression for the same calculation, used as an atomic guard
+const capacityExpr = {
+  $convert: {
+    input: "$ticketQuantity",
+    to: "double",
+    onError: 0,
+    onNull: 0,
+  },
+};
 
-    let sort = {};
-    if (sortBy === "price-asc") sort.price = 1;
-    if (sortBy === "price-desc") sort.price = -1;
-    if (!sortBy) sort.createdAt = -1;
+const availableSeatsExpr = {
+  $subtract: [
+    capacityExpr,
+    {
+      $add: [
+        { $ifNull: ["$heldQuantity", 0] },
+        { $ifNull: ["$soldQuantity", 0] },
+      ],
+    },
+  ],
+};
 
-    const tickets = await ticketsCollection
-      .find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+const legLoadExpr = (leg) => ({
+  $add: [
+    { $ifNull: [{ $arrayElemAt: ["$legHeld", leg] }, 0] },
+    { $ifNull: [{ $arrayElemAt: ["$legSold", leg] }, 0] },
+  ],
+});
 
-    const total = await ticketsCollection.countDocuments(query);
+// $expr that is true when `quantity` seats are free (on every leg of `legs`)
+function seatsAvailableExpr(quantity, legs) {
+  if (!legs) return { $gte: [availableSeatsExpr, quantity] };
 
-    res.json({
-      success: true,
-      data: tickets,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit)),
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
+  const checks = [];
+  for (let leg = legs.start; leg < legs.end; leg++) {
+    checks.push({
+      $gte: [{ $subtract: [capacityExpr, legLoadExpr(leg)] }, quantity],
     });
   }
-});
+  return { $and: checks };
+}
 
-// GET single ticket
-app.get("/api/tickets/:id", verifyToken, async (req, res) => {
-  try {
-    const ticket = await ticketsCollection.findOne({
-      _id: new ObjectId(req.params.id),
-    });
+// $inc for a seat counter: heldQuantity/soldQuantity on direct tickets,
+// one legHeld/legSold array entry per covered leg on route tickets
+function seatCounterInc(counter, quantity, legs) {
+  if (!legs) return { [counter]: quantity };
 
-    if (!ticket) {
-      return res.status(404).json({
-        success: false,
-        message: "Ticket not found",
-      });
+  const legCounter = counter === "heldQuantity" ? "legHeld" : "legSold";
+  const inc = {};
+  for (let leg = legs.start; leg < legs.end; leg++) {
+    inc[`${legCounter}.${leg}`] = quantity;
+  }
+  return inc;
+}
+
+// Reserves seats for a booking (on `legs` only, for route segments).
+// Returns the hold, or null if not enough seats.
+async function placeSeatHold(
+  ticketId,
+  bookingId,
+  quantity,
+  userEmail,
+  legs = null,
+  expiresAt = holdExpiry()
+) {
+  const reserved = await ticketsCollection.updateOne(
+    { _id: ticketId, $expr: seatsAvailableExpr(quantity, legs) },
+    {
+      $inc: seatCounterInc("heldQuantity", quantity, legs),
+      $set: { updatedAt: new Date() },
     }
+  );
+
+  if (reserved.modifiedCount === 0) return null;
+
+  const hold = {
+    ticketId: ticketId.toString(),
+    bookingId: bookingId.toString(),
+    userEmail,
+    quantity,
+    legs,
+    status: "held",
+    expiresAt,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+  await seatHoldsCollection.insertOne(hold);
+  publishSeatAvailability(ticketId);
+  return hold;
+}
 
-    res.json({ success: true, data: ticket });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+// Pushes the expiry of an active hold out to at least `minutes` from now
+async function extendSeatHold(bookingId, minutes = SEAT_HOLD_MINUTES) {
+  await seatHoldsCollection.updateOne(
+    {
+      bookingId: bookingId.toString(),
+      status: "held",
+      expiresAt: { $lt: holdExpiry(minutes) },
+    },
+    { $set: { expiresAt: holdExpiry(minutes), updatedAt: new Date() } }
+  );
+}
+
+// Converts a booking's hold to sold seats. If the hold already lapsed the
+// seats are re-acquired when still available. Returns false when they aren't.
+async function convertSeatHold(booking) {
+  const bookingId = booking._id.toString();
+  const ticketId = new ObjectId(booking.ticketId);
+
+  const hold = await seatHoldsCollection.findOneAndUpdate(
+    { bookingId, status: "held" },
+    { $set: { status: "sold", soldAt: new Date(), updatedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+
+  if (hold) {
+    await ticketsCollection.updateOne(
+      { _id: ticketId },
+      {
+        $inc: {
+          ...seatCounterInc("heldQuantity", -hold.quantity, hold.legs),
+          ...seatCounterInc("soldQuantity", hold.quantity, hold.legs),
+        },
+        $set: { updatedAt: new Date() },
+      }
+    );
+    await markSeatsSold(bookingId);
+    return true;
   }
-});
 
-// GET latest tickets
-app.get("/api/tickets/latest/all", async (req, res) => {
-  try {
-    const tickets = await ticketsCollection
-      .find({ status: "approved" })
-      .sort({ createdAt: -1 })
-      .limit(8)
-      .toArray();
+  // Bookings made before the ledger already took their seats off ticketQuantity
+  if (!booking.holdExpiresAt) return true;
 
-    res.json({ success: true, data: tickets });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+  // Already sold by an earlier attempt that didn't get to mark the booking paid
+  if (await seatHoldsCollection.findOne({ bookingId, status: "sold" })) {
+    return true;
   }
-});
 
-// GET advertised tickets
-app.get("/api/tickets/advertised/all", async (req, res) => {
-  try {
-    const tickets = await ticketsCollection
-      .find({
-        status: "approved",
-        isAdvertised: true,
-      })
-      .limit(6)
-      .toArray();
+  const quantity = booking.bookingQuantity;
+  const legs = booking.legs || null;
+  const resold = await ticketsCollection.updateOne(
+    { _id: ticketId, $expr: seatsAvailableExpr(quantity, legs) },
+    {
+      $inc: seatCounterInc("soldQuantity", quantity, legs),
+      $set: { updatedAt: new Date() },
+    }
+  );
+  if (resold.modifiedCount === 0) return false;
+
+  // Chosen seats must also still be free
+  if (booking.seats?.length > 0) {
+    const { conflicts } = await claimSeats(
+      booking.ticketId,
+      bookingId,
+      booking.seats,
+      "sold",
+      legs
+    );
+    if (conflicts.length > 0) {
+      await ticketsCollection.updateOne(
+        { _id: ticketId },
+        {
+          $inc: seatCounterInc("soldQuantity", -quantity, legs),
+          $set: { updatedAt: new Date() },
+        }
+      );
+      return false;
+    }
+  }
 
-    res.json({ success: true, data: tickets });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
+  await seatHoldsCollection.updateOne(
+    { bookingId, status: "released" },
+    { $set: { status: "sold", soldAt: new Date(), updatedAt: new Date() } }
+  );
+  publishSeatAvailability(ticketId);
+  return true;
+}
+
+// Returns a booking's held or sold seats to the ticket. Safe to call twice.
+async function releaseSeatHold(booking, reason) {
+  const bookingId = booking._id.toString();
+
+  const hold = await seatHoldsCollection.findOneAndUpdate(
+    { bookingId, status: { $in: ["held", "sold"] } },
+    {
+      $set: {
+        status: "released",
+        releasedReason: reason,
+        releasedAt: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: "before" }
+  );
+
+  if (hold) {
+    const counter = hold.status === "sold" ? "soldQuantity" : "heldQuantity";
+    await ticketsCollection.updateOne(
+      { _id: new ObjectId(hold.ticketId) },
+      {
+        $inc: seatCounterInc(counter, -hold.quantity, hold.legs),
+        $set: { updatedAt: new Date() },
+      }
+    );
+    await releaseSeats(bookingId);
+    publishSeatAvailability(hold.ticketId);
+    await offerWaitlistedSeats(hold.ticketId);
+    return true;
+  }
+
+  // Pre-ledger bookings decremented ticketQuantity directly; the
+  // seatsReleasedAt marker makes sure they are only given back once
+  if (!booking.holdExpiresAt) {
+    const marked = await bookingCollection.updateOne(
+      { _id: booking._id, seatsReleasedAt: { $exists: false } },
+      { $set: { seatsReleasedAt: new Date() } }
+    );
+    if (marked.modifiedCount === 0) return false;
+
+    await ticketsCollection.updateOne(
+      { _id: new ObjectId(booking.ticketId) },
+      {
+        $inc: { ticketQuantity: booking.bookingQuantity },
+        $set: { updatedAt: new Date() },
+      }
+    );
+    publishSeatAvailability(booking.ticketId);
+    await offerWaitlistedSeats(booking.ticketId);
+    return true;
+  }
+
+  return false;
+}
+
+// Releases lapsed holds and cancels the bookings still waiting on them.
+// Holds without a booking are expired waitlist offers (see WAITLIST).
+async function releaseExpiredHolds() {
+  const expired = await seatHoldsCollection
+    .find({ status: "held", expiresAt: { $lte: new Date() } })
+    .toArray();
+
+  for (const hold of expired) {
+    const booking = await bookingCollection.findOne({
+      _id: new ObjectId(hold.bookingId),
     });
+
+    // Cancelling releases the hold as a side effect
+    const result = booking
+      ? await transitionBooking(booking, "cancelled", {
+          actor: "system",
+          note: "Seat hold expired",
+          set: { cancellationReason: "Seat hold expired" },
+        })
+      : { success: false };
+
+    if (!booking) await expireWaitlistOffer(hold.bookingId);
+    if (!result.success) {
+      await releaseSeatHold(
+        {
+          _id: hold.bookingId,
+          ticketId: hold.ticketId,
+          holdExpiresAt: hold.expiresAt,
+        },
+        "expired"
+      );
+    }
   }
-});
+
+  if (expired.length > 0) {
+    console.log(`⏱ Released ${expired.length} expired seat hold(s)`);
+  }
+}
 
 //  
-// FIXED: GET /api/tickets/vendor/me
-// Replace this endpoint in your index.js
+// SEAT MAPS
+// Optional ticket.seatLayout: { rows, columns, seatClasses, blockedSeats }.
+// Seats are numbered row letter + column ("A1", "C4"). A seat taken by a
+// booking has one document in seatAssignments; the unique
+// { ticketId, seatNumber } index makes concurrent claims conflict atomically.
 //  
+const MAX_SEAT_ROWS = 26;
+const MAX_SEAT_COLUMNS = 12;
+// Rounds of picking the next free seats when auto-assigned ones get taken
+const SEAT_ASSIGN_ATTEMPTS = 5;
 
-app.get("/api/tickets/vendor/me", verifyToken, async (req, res) => {
-  try {
-    const vendorEmail = req.tokenEmail;
-
-    console.log("🎫 GET /api/tickets/vendor/me");
-    console.log("📧 Vendor email from token:", vendorEmail);
+const rowLabel = (index) => String.fromCharCode(65 + index);
 
-    // Get vendor from database
-    const vendor = await usersCollection.findOne({ email: vendorEmail });
+// Validates a vendor-supplied layout. Returns { layout, seatCount } or { error }.
+function normalizeSeatLayout(input) {
+  if (!input || typeof input !== "object") {
+    return { error: "seatLayout must be an object" };
+  }
 
-    if (!vendor) {
-      console.log("❌ Vendor not found in database:", vendorEmail);
-      return res.json({
-        success: true,
-        data: [],
-        message: "Vendor not found. Please log in again.",
-      });
-    }
+  const rows = Number(input.rows);
+  const columns = Number(input.columns);
+  if (!Number.isInteger(rows) || rows < 1 || rows > MAX_SEAT_ROWS) {
+    return { error: `seatLayout.rows must be between 1 and ${MAX_SEAT_ROWS}` };
+  }
+  if (!Number.isInteger(columns) || columns < 1 || columns > MAX_SEAT_COLUMNS) {
+    return {
+      error: `seatLayout.columns must be between 1 and ${MAX_SEAT_COLUMNS}`,
+    };
+  }
 
-    console.log("✅ Vendor found:", {
-      _id: vendor._id.toString(),
-      email: vendor.email,
-      role: vendor.role,
-    });
+  const validRows = Array.from({ length: rows }, (_, i) => rowLabel(i));
+  const isValidSeat = (seat) => {
+    const match = /^([A-Z])(\d{1,2})$/.exec(seat);
+    return (
+      !!match && validRows.includes(match[1]) && Number(match[2]) >= 1 &&
+      Number(match[2]) <= columns
+    );
+  };
+
+  const blockedSeats = [
+    ...new Set(
+      (input.blockedSeats || []).map((seat) => String(seat).trim().toUpperCase())
+    ),
+  ];
+  const invalidBlocked = blockedSeats.filter((seat) => !isValidSeat(seat));
+  if (invalidBlocked.length > 0) {
+    return { error: `Invalid blocked seats: ${invalidBlocked.join(", ")}` };
+  }
 
-    // Get vendor ID as string
-    const vendorIdString = vendor._id.toString();
+  const seatClasses = [];
+  for (const seatClass of input.seatClasses || []) {
+    const classRows = (seatClass.rows || []).map((r) =>
+      String(r).trim().toUpperCase()
+    );
+    const price =
+      seatClass.price === undefined ? undefined : Number(seatClass.price);
 
-    // ✅ SIMPLE QUERY - Try email first, then ID
-    const tickets = await ticketsCollection
-      .find({
-        $or: [
-          { vendorEmail: vendorEmail }, // Direct email match
-          { vendorId: vendorIdString }, // String ID
-          { vendorId: vendor._id }, // ObjectId
-        ],
-      })
-      .sort({ createdAt: -1 })
-      .toArray();
+    if (!seatClass.name || classRows.length === 0) {
+      return { error: "Each seat class needs a name and at least one row" };
+    }
+    if (classRows.some((r) => !validRows.includes(r))) {
+      return { error: `Seat class ${seatClass.name} has rows outside the layout` };
+    }
+    if (price !== undefined && (isNaN(price) || price < 0)) {
+      return { error: `Seat class ${seatClass.name} has an invalid price` };
+    }
+    seatClasses.push({ name: String(seatClass.name), rows: classRows, price });
+  }
 
-    console.log(`✅ Found ${tickets.length} tickets for ${vendorEmail}`);
+  return {
+    layout: { rows, columns, seatClasses, blockedSeats },
+    seatCount: rows * columns - blockedSeats.length,
+  };
+}
 
-    if (tickets.length > 0) {
-      console.log("📦 Sample ticket:", {
-        _id: tickets[0]._id.toString(),
-        title: tickets[0].title,
-        vendorId: tickets[0].vendorId,
-        vendorIdType: typeof tickets[0].vendorId,
-        vendorEmail: tickets[0].vendorEmail,
+// Every seat of a ticket's layout with its class and price
+function buildSeatList(ticket) {
+  const { rows, columns, seatClasses = [], blockedSeats = [] } =
+    ticket.seatLayout;
+  const seats = [];
+
+  for (let r = 0; r < rows; r++) {
+    const row = rowLabel(r);
+    const seatClass = seatClasses.find((c) => c.rows.includes(row));
+    for (let column = 1; column <= columns; column++) {
+      const seatNumber = `${row}${column}`;
+      seats.push({
+        seatNumber,
+        row,
+        column,
+        seatClass: seatClass?.name || "Standard",
+        price: seatClass?.price ?? Number(ticket.price),
+        blocked: blockedSeats.includes(seatNumber),
       });
     }
+  }
+  return seats;
+}
 
-    // Prevent caching
-    res.set("Cache-Control", "no-store, no-cache, must-revalidate");
-    res.set("Pragma", "no-cache");
-    res.set("Expires", "0");
-
-    res.json({
-      success: true,
-      data: tickets,
-    });
-  } catch (error) {
-    console.error("❌ Error in /api/tickets/vendor/me:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message,
-      data: [],
-    });
+// Claims seats for a booking. Returns { conflicts: [] } on success; on
+// conflict nothing stays claimed and the taken seat numbers are returned.
+// Route segments claim the seat once per covered leg, so the same seat can
+// be sold again on legs the booking doesn't ride.
+async function claimSeats(
+  ticketId,
+  bookingId,
+  seatNumbers,
+  status = "held",
+  legs = null
+) {
+  const legList = [];
+  if (legs) {
+    for (let leg = legs.start; leg < legs.end; leg++) legList.push(leg);
   }
-});
 
-// GET vendor's tickets
-app.get("/api/tickets/vendor/:vendorId", verifyToken, async (req, res) => {
+  const docs = seatNumbers.flatMap((seatNumber) =>
+    (legs ? legList : [undefined]).map((leg) => ({
+      ticketId: ticketId.toString(),
+      seatNumber,
+      ...(leg !== undefined && { leg }),
+      bookingId: bookingId.toString(),
+      status,
+      createdAt: new Date(),
+    }))
+  );
+
   try {
-    const tickets = await ticketsCollection
-      .find({ vendorId: req.params.vendorId })
-      .sort({ createdAt: -1 })
-      .toArray();
+    await seatAssignmentsCollection.insertMany(docs, { ordered: false });
+    return { conflicts: [] };
+  } catch (err) {
+    const writeErrors = err.writeErrors || [];
 
-    res.json({ success: true, data: tickets });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
+    // Undo the rows that did go in, so a failed claim holds nothing
+    await seatAssignmentsCollection.deleteMany({
+      bookingId: bookingId.toString(),
+      seatNumber: { $in: seatNumbers },
     });
+
+    // Only taken seats are conflicts; any other failure leaves the seats
+    // unclaimed and must not pass for success
+    if (
+      writeErrors.length === 0 ||
+      writeErrors.some((e) => e.code !== 11000)
+    ) {
+      throw err;
+    }
+
+    const conflicts = [
+      ...new Set(writeErrors.map((e) => docs[e.index].seatNumber)),
+    ];
+    return { conflicts };
   }
-});
-// DEBUG: Vendor ticket diagnostics (protected)
-app.get("/api/debug/vendor-tickets", verifyToken, async (req, res) => {
-  try {
-    const vendorEmail = req.tokenEmail;
-    console.log("🔎 /api/debug/vendor-tickets - Vendor:", vendorEmail);
+}
 
-    const vendor = await usersCollection.findOne({ email: vendorEmail });
+// Claims seats for a booking that didn't choose any, starting with
+// `seatNumbers` (the first free ones when the booking was priced) and moving
+// on to the next free seats when a concurrent booking takes some first.
+// Returns { seatNumbers } as claimed, or { conflicts } once too few are left.
+async function claimFreeSeats(ticket, bookingId, seatNumbers, legs = null) {
+  const lost = new Set();
+  let candidates = seatNumbers;
+
+  for (let attempt = 0; attempt < SEAT_ASSIGN_ATTEMPTS; attempt++) {
+    const { conflicts } = await claimSeats(
+      ticket._id,
+      bookingId,
+      candidates,
+      "held",
+      legs
+    );
+    if (conflicts.length === 0) return { seatNumbers: candidates };
+
+    conflicts.forEach((seat) => lost.add(seat));
+    const free = (await buildSeatMap(ticket, legs))
+      .filter((seat) => seat.status === "free" && !lost.has(seat.seatNumber))
+      .map((seat) => seat.seatNumber);
+    if (free.length < seatNumbers.length) break;
+    candidates = free.slice(0, seatNumbers.length);
+  }
+  return { conflicts: [...lost] };
+}
 
-    const escapedEmail = vendorEmail.replace(/[.*+?^${}()|[\\]\\]/g, "\\$&");
-    const emailRegex = new RegExp(`^\\s*${escapedEmail}\\s*$`, "i");
+const releaseSeats = (bookingId) =>
+  seatAssignmentsCollection.deleteMany({ bookingId: bookingId.toString() });
 
-    const orConditions = [{ vendorEmail: emailRegex }];
-    if (vendor) {
-      orConditions.unshift({ vendorId: vendor._id.toString() });
-      orConditions.unshift({ vendorId: vendor._id });
-    }
+const markSeatsSold = (bookingId) =>
+  seatAssignmentsCollection.updateMany(
+    { bookingId: bookingId.toString() },
+    { $set: { status: "sold", soldAt: new Date() } }
+  );
 
-    const query = { $or: orConditions };
+// Seat list with live free/held/sold/blocked status (over `legs` for route tickets)
+async function buildSeatMap(ticket, legs = null) {
+  const assignments = await seatAssignmentsCollection
+    .find({
+      ticketId: ticket._id.toString(),
+      ...(legs && { leg: { $gte: legs.start, $lt: legs.end } }),
+    })
+    .toArray();
+  const taken = new Map(assignments.map((a) => [a.seatNumber, a.status]));
+
+  return buildSeatList(ticket).map(({ blocked, ...seat }) => ({
+    ...seat,
+    status: blocked ? "blocked" : taken.get(seat.seatNumber) || "free",
+  }));
+}
 
-    const counts = {
-      idStr: vendor
-        ? await ticketsCollection.countDocuments({
-            vendorId: vendor._id.toString(),
-          })
-        : 0,
-      idObj: vendor
-        ? await ticketsCollection.countDocuments({ vendorId: vendor._id })
-        : 0,
-      email: await ticketsCollection.countDocuments({
-        vendorEmail: emailRegex,
-      }),
-    };
+//  
+// MULTI-STOP ROUTES
+// Optional ticket.route: { stops: [{ name, departureTime, arrivalTime }],
+// legPrices: [...] } where leg i runs stops[i] → stops[i + 1]. Bookings may
+// cover any sub-segment and only load the legs they ride (legHeld/legSold).
+// Tickets without a route are direct from → to as before.
+//  
+const MIN_CONNECTION_MINUTES = 45;
+const MAX_CONNECTION_HOURS = 24;
+const CONNECTION_CANDIDATE_LIMIT = 200;
 
-    const samples = await ticketsCollection.find(query).limit(5).toArray();
+const stopKey = (name) => String(name || "").trim().toLowerCase();
 
-    console.log(
-      "🔎 /api/debug/vendor-tickets - counts:",
-      counts,
-      "samples:",
-      samples.length
-    );
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
-    return res.json({ success: true, counts, samples });
-  } catch (err) {
-    console.error("🔎 /api/debug/vendor-tickets - error:", err);
-    return res.status(500).json({ success: false, message: err.message });
-  }
+// Case-insensitive whole-value match for a stop or city name
+const exactNameRegex = (name) =>
+  new RegExp(`^\\s*${escapeRegex(String(name).trim())}\\s*$`, "i");
+
+const fullRouteLegs = (ticket) => ({
+  start: 0,
+  end: ticket.route.stops.length - 1,
 });
 
-// POST create ticket (vendor only)
-app.post(
-  "/api/tickets",
-  verifyToken,
+// Validates a vendor-supplied route. Returns { route } or { error }.
+function normalizeRoute(input) {
+  if (!input || !Array.isArray(input.stops) || input.stops.length < 2) {
+    return { error: "route.stops must list at least two stops" };
+  }
 
-  async (req, res) => {
-    try {
-      // Resolve vendor by token email
-      const vendor = await usersCollection.findOne({ email: req.tokenEmail });
+  const stops = input.stops.map((stop) =>
+    typeof stop === "string" ? { name: stop } : stop || {}
+  );
+  if (stops.some((stop) => !String(stop.name || "").trim())) {
+    return { error: "Every route stop needs a name" };
+  }
 
-      if (!vendor) {
-        return res
-          .status(404)
-          .json({ success: false, message: "Vendor not found" });
-      }
+  const stopKeys = stops.map((stop) => stopKey(stop.name));
+  if (new Set(stopKeys).size !== stopKeys.length) {
+    return { error: "A route can't visit the same stop twice" };
+  }
 
-      if (vendor.isFraud) {
-        return res.status(403).json({
-          success: false,
-          message: "Your account has been flagged. Cannot add tickets.",
-        });
-      }
+  const legPrices = (input.legPrices || []).map(Number);
+  if (
+    legPrices.length !== stops.length - 1 ||
+    legPrices.some((price) => isNaN(price) || price < 0)
+  ) {
+    return {
+      error: `route.legPrices needs ${stops.length - 1} non-negative price(s), one per leg`,
+    };
+  }
 
-      const ticketData = {
-        ...req.body,
-        vendorId: vendor._id.toString(),
-        vendorName: vendor.displayName || vendor.name || "Vendor",
-        vendorEmail: vendor.email,
-        status: "pending",
-        isAdvertised: false,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      };
+  return {
+    route: {
+      stops: stops.map((stop) => ({
+        name: String(stop.name).trim(),
+        departureTime: stop.departureTime || null,
+        arrivalTime: stop.arrivalTime || null,
+      })),
+      stopKeys,
+      legPrices,
+    },
+  };
+}
 
-      const result = await ticketsCollection.insertOne(ticketData);
-      const rawTicket = await ticketsCollection.findOne({
-        _id: result.insertedId,
-      });
-      // Convert _id to string for consistent client handling
-      const newTicket = { ...rawTicket, _id: rawTicket._id.toString() };
+// Ticket fields derived from a route: endpoints, full fare, leg counters
+const routeTicketFields = (route) => ({
+  route,
+  from: route.stops[0].name,
+  to: route.stops[route.stops.length - 1].name,
+  departureTime: route.stops[0].departureTime,
+  price: route.legPrices.reduce((sum, price) => sum + price, 0),
+  legHeld: route.legPrices.map(() => 0),
+  legSold: route.legPrices.map(() => 0),
+});
 
-      console.log(
-        "/api/tickets - Ticket created by:",
-        vendor.email,
-        "vendorId:",
-        vendor._id.toString(),
-        "insertedId:",
-        result.insertedId
-      );
+// Legs a trip between two stops covers ({ start, end }, end exclusive), or
+// null when the ticket doesn't serve it. Missing names mean the route ends.
+function resolveSegment(ticket, fromName, toName) {
+  const { stopKeys } = ticket.route;
+  const start = fromName ? stopKeys.indexOf(stopKey(fromName)) : 0;
+  const end = toName ? stopKeys.indexOf(stopKey(toName)) : stopKeys.length - 1;
+  if (start < 0 || end <= start) return null;
+  return { start, end };
+}
 
-      // Diagnostic checks after insert
-      const foundByVendorId = await ticketsCollection
-        .find({ vendorId: vendor._id.toString() })
-        .toArray();
-      const foundByVendorEmail = await ticketsCollection
-        .find({ vendorEmail: vendor.email })
-        .toArray();
-      console.log(
-        "/api/tickets - post-insert diagnostic: byVendorIdCount:",
-        foundByVendorId.length,
-        "byVendorEmailCount:",
-        foundByVendorEmail.length,
-        "newTicketStored:",
-        rawTicket
-      );
+// Boarding/alighting details and fare for a segment of a route ticket
+function segmentDetails(ticket, legs) {
+  const { stops, legPrices } = ticket.route;
+  const price = legPrices
+    .slice(legs.start, legs.end)
+    .reduce((sum, legPrice) => sum + legPrice, 0);
+  return {
+    fromStop: stops[legs.start].name,
+    toStop: stops[legs.end].name,
+    departureTime: stops[legs.start].departureTime || ticket.departureTime,
+    arrivalTime: stops[legs.end].arrivalTime,
+    price,
+    effectivePrice: applyPricing(price, ticketPricing(ticket)),
+    legs,
+    availableQuantity: availableSeats(ticket, legs),
+  };
+}
 
-      // Prevent caching responses for newly created resources
-      res.set(
-        "Cache-Control",
-        "no-store, no-cache, must-revalidate, proxy-revalidate"
-      );
-      res.set("Pragma", "no-cache");
-      res.set("Expires", "0");
+// find() condition for route tickets serving from → to in that order
+function routeSegmentQuery(from, to) {
+  const keys = { $ifNull: ["$route.stopKeys", []] };
+  const fromIndex = from ? { $indexOfArray: [keys, stopKey(from)] } : 0;
+  const toIndex = to
+    ? { $indexOfArray: [keys, stopKey(to)] }
+    : { $subtract: [{ $size: keys }, 1] };
+
+  return {
+    route: { $exists: true },
+    $expr: {
+      $and: [{ $gte: [fromIndex, 0] }, { $gt: [toIndex, fromIndex] }],
+    },
+  };
+}
 
-      res.status(201).json({
-        success: true,
-        message: "Ticket added successfully. Waiting for admin approval.",
-        data: newTicket,
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: error.message,
+// Departure Date of a ticket (optionally from a route stop), or null
+function ticketDeparture(ticket, legs = null) {
+  const departureTime =
+    legs && ticket.route
+      ? ticket.route.stops[legs.start].departureTime || ticket.departureTime
+      : ticket.departureTime;
+  return departureDateTime({
+    departureDate: ticket.departureDate,
+    departureTime,
+  });
+}
+
+// Best known arrival at the end of `legs`; falls back to the departure
+function ticketArrival(ticket, legs = null) {
+  if (legs && ticket.route) {
+    const { arrivalTime } = ticket.route.stops[legs.end];
+    if (arrivalTime) {
+      const arrival = departureDateTime({
+        departureDate: ticket.departureDate,
+        departureTime: arrivalTime,
       });
+      const departure = ticketDeparture(ticket, legs);
+      // Arrival clock time earlier than departure means the next day
+      if (arrival && departure && arrival < departure) {
+        arrival.setTime(arrival.getTime() + 24 * 60 * 60 * 1000);
+      }
+      return arrival;
     }
   }
-);
+  return ticketDeparture(ticket, legs);
+}
 
-// PUT update ticket
-app.put(
-  "/api/tickets/:id",
-  verifyToken,
+// Stops a ticket can take a traveler to/from, as [{ key, name, legs }]
+function reachableStops(ticket, fromName) {
+  if (!ticket.route) {
+    return [{ key: stopKey(ticket.to), name: ticket.to, legs: null }];
+  }
+  const start = ticket.route.stopKeys.indexOf(stopKey(fromName));
+  return ticket.route.stops
+    .slice(start + 1)
+    .map((stop, i) => ({
+      key: stopKey(stop.name),
+      name: stop.name,
+      legs: { start, end: start + 1 + i },
+    }));
+}
 
-  async (req, res) => {
-    try {
-      const updateData = {
-        ...req.body,
-        updatedAt: new Date(),
-      };
+function boardingStops(ticket, toName) {
+  if (!ticket.route) {
+    return [{ key: stopKey(ticket.from), name: ticket.from, legs: null }];
+  }
+  const end = ticket.route.stopKeys.indexOf(stopKey(toName));
+  return ticket.route.stops.slice(0, end).map((stop, start) => ({
+    key: stopKey(stop.name),
+    name: stop.name,
+    legs: { start, end },
+  }));
+}
 
-      const result = await ticketsCollection.findOneAndUpdate(
-        { _id: new ObjectId(req.params.id) },
-        { $set: updateData },
-        { returnDocument: "after" }
-      );
+const legSummary = (ticket, legs, fromName, toName) => ({
+  ticket: presentTicket(ticket),
+  fromStop: fromName,
+  toStop: toName,
+  legs,
+  price: legs
+    ? segmentDetails(ticket, legs).effectivePrice
+    : applyPricing(ticket.price, ticketPricing(ticket)),
+  availableQuantity: availableSeats(ticket, legs),
+  departure: ticketDeparture(ticket, legs),
+  arrival: ticketArrival(ticket, legs),
+});
 
-      if (!result.value) {
-        return res.status(404).json({
-          success: false,
-          message: "Ticket not found",
-        });
-      }
+// Journeys from → X → to with one change, where the second ticket leaves
+// MIN_CONNECTION_MINUTES to MAX_CONNECTION_HOURS after the first arrives.
+async function findConnections(from, to, { quantity = 1, limit = 10 } = {}) {
+  const fromKey = stopKey(from);
+  const toKey = stopKey(to);
 
-      res.json({
-        success: true,
-        message: "Ticket updated successfully",
-        data: result.value,
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: error.message,
-      });
+  const [firstLegs, secondLegs] = await Promise.all([
+    ticketsCollection
+      .find({
+        status: "approved",
+        $or: [{ from: exactNameRegex(from) }, routeSegmentQuery(from, null)],
+      })
+      .limit(CONNECTION_CANDIDATE_LIMIT)
+      .toArray(),
+    ticketsCollection
+      .find({
+        status: "approved",
+        $or: [{ to: exactNameRegex(to) }, routeSegmentQuery(null, to)],
+      })
+      .limit(CONNECTION_CANDIDATE_LIMIT)
+      .toArray(),
+  ]);
+
+  // Index second legs by where the traveler would board them
+  const byBoardingStop = new Map();
+  for (const ticket of secondLegs) {
+    for (const stop of boardingStops(ticket, to)) {
+      if (stop.key === fromKey) continue;
+      const list = byBoardingStop.get(stop.key) || [];
+      list.push({ ticket, stop });
+      byBoardingStop.set(stop.key, list);
     }
   }
-);
 
-// DELETE ticket
-app.delete(
-  "/api/tickets/:id",
-  verifyToken,
+  const journeys = [];
+  for (const first of firstLegs) {
+    for (const transfer of reachableStops(first, from)) {
+      if (transfer.key === toKey) continue;
 
-  async (req, res) => {
-    try {
-      const result = await ticketsCollection.deleteOne({
-        _id: new ObjectId(req.params.id),
-      });
+      const firstLeg = legSummary(first, transfer.legs, from, transfer.name);
+      if (firstLeg.availableQuantity < quantity || !firstLeg.arrival) continue;
 
-      if (result.deletedCount === 0) {
-        return res.status(404).json({
-          success: false,
-          message: "Ticket not found",
+      for (const { ticket, stop } of byBoardingStop.get(transfer.key) || []) {
+        if (ticket._id.equals(first._id)) continue;
+
+        const secondLeg = legSummary(ticket, stop.legs, stop.name, to);
+        if (secondLeg.availableQuantity < quantity || !secondLeg.departure) {
+          continue;
+        }
+
+        const layoverMinutes =
+          (secondLeg.departure - firstLeg.arrival) / (60 * 1000);
+        if (
+          layoverMinutes < MIN_CONNECTION_MINUTES ||
+          layoverMinutes > MAX_CONNECTION_HOURS * 60
+        ) {
+          continue;
+        }
+
+        journeys.push({
+          transferAt: transfer.name,
+          layoverMinutes: Math.round(layoverMinutes),
+          totalPrice: firstLeg.price + secondLeg.price,
+          departure: firstLeg.departure,
+          arrival: secondLeg.arrival,
+          legs: [firstLeg, secondLeg],
         });
       }
-
-      res.json({
-        success: true,
-        message: "Ticket deleted successfully",
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: error.message,
-      });
     }
   }
-);
 
-// Role Request handling
-app.post("/api/role-requests", verifyToken, async (req, res) => {
-  try {
-    const { requestedRole } = req.body;
+  return journeys
+    .sort((a, b) => a.totalPrice - b.totalPrice || a.departure - b.departure)
+    .slice(0, limit);
+}
 
-    // Validate requested role
-    if (!["vendor", "admin"].includes(requestedRole)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid role. Can only request: vendor or admin",
-      });
+//  
+// DYNAMIC PRICING
+// Optional ticket.pricingRules adjust the vendor's base price (ticket price,
+// route segment price or seat class price) by a percentage:
+//   earlyBird:  { daysBefore, percent }  departure at least daysBefore days away
+//   lastMinute: { daysBefore, percent }  departure at most daysBefore days away
+//   occupancy:  [{ minOccupancy, percent }]  highest tier reached (% of seats taken)
+//   weekend:    { days, percent }  departure weekday (0 = Sunday; default Fri/Sat)
+//   holidays:   { dates, percent }  departure on a listed "YYYY-MM-DD" (beats weekend)
+// Matching adjustments compound. Negative percents are discounts.
+// Search filters and sorting still use the stored base price.
+//  
+const MIN_PRICE_PERCENT = -90;
+const MAX_PRICE_PERCENT = 300;
+const DEFAULT_WEEKEND_DAYS = [5, 6];
+const MAX_OCCUPANCY_TIERS = 10;
+const MAX_HOLIDAYS = 100;
+
+const isPricePercent = (value) =>
+  typeof value === "number" &&
+  value >= MIN_PRICE_PERCENT &&
+  value <= MAX_PRICE_PERCENT;
+
+const isWholeNumber = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+// Returns { rules } (null when none are set) or { error }
+function normalizePricingRules(input) {
+  if (!isPlainObject(input)) return { error: "pricingRules must be an object" };
+  const rules = {};
+  const percentError = (rule) =>
+    `pricingRules.${rule}.percent must be between ${MIN_PRICE_PERCENT} and ${MAX_PRICE_PERCENT}`;
+
+  for (const rule of ["earlyBird", "lastMinute"]) {
+    if (!input[rule]) continue;
+    const { daysBefore, percent } = input[rule];
+    if (!isWholeNumber(daysBefore, 0, 365)) {
+      return { error: `pricingRules.${rule}.daysBefore must be 0-365` };
     }
+    if (!isPricePercent(percent)) return { error: percentError(rule) };
+    rules[rule] = { daysBefore, percent };
+  }
+  if (
+    rules.earlyBird &&
+    rules.lastMinute &&
+    rules.earlyBird.daysBefore <= rules.lastMinute.daysBefore
+  ) {
+    return {
+      error: "earlyBird.daysBefore must be greater than lastMinute.daysBefore",
+    };
+  }
 
-    // Get current user
-    const user = await usersCollection.findOne({ email: req.tokenEmail });
+  if (input.occupancy) {
+    if (
+      !Array.isArray(input.occupancy) ||
+      input.occupancy.length > MAX_OCCUPANCY_TIERS
+    ) {
+      return {
+        error: `pricingRules.occupancy must be a list of up to ${MAX_OCCUPANCY_TIERS} tiers`,
+      };
+    }
+    for (const tier of input.occupancy) {
+      if (!isWholeNumber(tier?.minOccupancy, 1, 100)) {
+        return { error: "occupancy tiers need a minOccupancy of 1-100" };
+      }
+      if (!isPricePercent(tier.percent)) return { error: percentError("occupancy") };
+    }
+    rules.occupancy = input.occupancy
+      .map(({ minOccupancy, percent }) => ({ minOccupancy, percent }))
+      .sort((a, b) => b.minOccupancy - a.minOccupancy);
+  }
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
+  if (input.weekend) {
+    const days = input.weekend.days || DEFAULT_WEEKEND_DAYS;
+    if (
+      !Array.isArray(days) ||
+      !days.every((day) => isWholeNumber(day, 0, 6))
+    ) {
+      return { error: "pricingRules.weekend.days must be weekdays 0-6" };
+    }
+    if (!isPricePercent(input.weekend.percent)) {
+      return { error: percentError("weekend") };
     }
+    rules.weekend = { days: [...new Set(days)], percent: input.weekend.percent };
+  }
 
-    // Check if user already has this role or higher
-    if (user.role === requestedRole) {
-      return res.status(400).json({
-        success: false,
-        message: `You are already a ${requestedRole}`,
-      });
+  if (input.holidays) {
+    const { dates, percent } = input.holidays;
+    if (
+      !Array.isArray(dates) ||
+      dates.length > MAX_HOLIDAYS ||
+      !dates.every((date) => /^\d{4}-\d{2}-\d{2}$/.test(date))
+    ) {
+      return {
+        error: `pricingRules.holidays.dates must be up to ${MAX_HOLIDAYS} "YYYY-MM-DD" dates`,
+      };
     }
+    if (!isPricePercent(percent)) return { error: percentError("holidays") };
+    rules.holidays = { dates: [...new Set(dates)].sort(), percent };
+  }
 
-    if (user.role === "admin") {
-      return res.status(400).json({
-        success: false,
-        message: "You already have admin privileges",
-      });
+  return { rules: Object.keys(rules).length > 0 ? rules : null };
+}
+
+// "YYYY-MM-DD" of a departureDate stored as a string or a Date
+const departureDay = (departureDate) =>
+  departureDate instanceof Date
+    ? departureDate.toISOString().slice(0, 10)
+    : String(departureDate || "").slice(0, 10);
+
+// Multiplier the ticket's rules give at `now`, with the adjustments applied
+// and the currency prices are rounded in
+function ticketPricing(ticket, now = new Date()) {
+  const rules = ticket.pricingRules;
+  const adjustments = [];
+  const currency = priceCurrency(ticket);
+  if (!rules) return { multiplier: 1, adjustments, currency };
+
+  const departure = departureDateTime(ticket);
+  if (departure) {
+    const daysBefore = (departure - now) / (24 * 60 * 60 * 1000);
+    if (rules.earlyBird && daysBefore >= rules.earlyBird.daysBefore) {
+      adjustments.push({ rule: "earlyBird", percent: rules.earlyBird.percent });
+    }
+    if (rules.lastMinute && daysBefore <= rules.lastMinute.daysBefore) {
+      adjustments.push({ rule: "lastMinute", percent: rules.lastMinute.percent });
     }
+  }
 
-    // Check for existing pending request
-    const existingRequest = await roleRequestsCollection.findOne({
-      userEmail: req.tokenEmail,
-      status: "pending",
-    });
+  const capacity = ticketCapacity(ticket);
+  if (rules.occupancy && capacity > 0) {
+    const occupancy = ((capacity - availableSeats(ticket)) / capacity) * 100;
+    const tier = rules.occupancy.find((t) => occupancy >= t.minOccupancy);
+    if (tier) adjustments.push({ rule: "occupancy", percent: tier.percent });
+  }
 
-    if (existingRequest) {
-      return res.status(400).json({
-        success: false,
-        message: "You already have a pending request",
-      });
-    }
-
-    // Create role request
-    const roleRequest = {
-      userId: user._id.toString(),
-      userEmail: user.email,
-      userName: user.displayName || "User",
-      userPhoto: user.photoURL || null,
-      currentRole: user.role,
-      requestedRole: requestedRole,
-      status: "pending", // pending, approved, rejected
-      requestDate: new Date().toISOString(),
-      processedBy: null,
-      processedDate: null,
-      rejectionReason: null,
-    };
+  const day = departureDay(ticket.departureDate);
+  if (rules.holidays?.dates.includes(day)) {
+    adjustments.push({ rule: "holiday", percent: rules.holidays.percent });
+  } else if (rules.weekend && /^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    if (rules.weekend.days.includes(weekday)) {
+      adjustments.push({ rule: "weekend", percent: rules.weekend.percent });
+    }
+  }
 
-    const result = await roleRequestsCollection.insertOne(roleRequest);
-    const newRequest = await roleRequestsCollection.findOne({
-      _id: result.insertedId,
-    });
+  const multiplier = adjustments.reduce(
+    (product, { percent }) => product * (1 + percent / 100),
+    1
+  );
+  return { multiplier, adjustments, currency };
+}
 
-    console.log("✅ Role request created:", newRequest);
+const applyPricing = (basePrice, pricing) =>
+  Math.max(
+    0,
+    roundMoney(Number(basePrice) * pricing.multiplier, pricing.currency)
+  );
+
+// Fields presentTicket adds: the price a booking made now would pay per seat
+function pricedTicketFields(ticket) {
+  const pricing = ticketPricing(ticket);
+  return {
+    effectivePrice: applyPricing(ticket.price, pricing),
+    priceAdjustments: pricing.adjustments,
+  };
+}
 
-    res.status(201).json({
-      success: true,
-      message: `${requestedRole} request submitted successfully`,
-      data: newRequest,
-    });
-  } catch (error) {
-    console.error("Error creating role request:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
-  }
-});
+//  
+// BOOKING STATE MACHINE
+// pending → accepted/rejected → paid → completed/cancelled/refunded, plus
+// payment_failed. Each transition lists the actors allowed to perform it;
+// "system" covers payment callbacks and scheduled jobs.
+//  
+const BOOKING_TRANSITIONS = {
+  pending: {
+    accepted: ["vendor", "admin"],
+    rejected: ["vendor", "admin"],
+    cancelled: ["buyer", "admin", "system"],
+  },
+  accepted: {
+    rejected: ["vendor", "admin"],
+    paid: ["system"],
+    payment_failed: ["system"],
+    cancelled: ["buyer", "admin", "system"],
+  },
+  paid: {
+    completed: ["vendor", "admin", "system"],
+    cancelled: ["buyer", "admin"],
+    refunded: ["vendor", "admin", "system"],
+    // Paid, but the seats were gone by the time the payment landed
+    payment_failed: ["system"],
+  },
+  cancelled: {
+    refunded: ["vendor", "admin", "system"],
+  },
+  payment_failed: {
+    refunded: ["vendor", "admin", "system"],
+  },
+  rejected: {},
+  completed: {},
+  refunded: {},
+};
 
-// GET: Get user's own role requests
-app.get("/api/role-requests/my-requests", verifyToken, async (req, res) => {
-  try {
-    const requests = await roleRequestsCollection
-      .find({ userEmail: req.tokenEmail })
-      .sort({ requestDate: -1 })
-      .toArray();
+const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
 
-    res.json({
-      success: true,
-      data: requests,
-    });
-  } catch (error) {
-    console.error("Error fetching requests:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
-  }
-});
+// PUT /api/bookings/:id/status
+const bookingStatusSchema = {
+  status: { type: "string", required: true, enum: BOOKING_STATUSES },
+  note: { type: "string", maxLength: 500 },
+};
 
-// GET: Get all pending role requests (Admin only)
-app.get("/api/admin/role-requests", verifyToken, async (req, res) => {
-  try {
-    // Verify user is admin
-    const adminUser = await usersCollection.findOne({
-      email: req.tokenEmail,
-    });
+// Side effects run after the status change has been persisted
+const BOOKING_SIDE_EFFECTS = {
+  // Give the traveler a full hold window to pay once accepted
+  accepted: (booking) => extendSeatHold(booking._id),
+  paid: (booking) => confirmPromoRedemption(booking),
+  rejected: async (booking) => {
+    await releaseSeatHold(booking, "rejected");
+    await releasePromoRedemption(booking, "rejected");
+  },
+  // Only an unpaid booking's promo use comes back (see releasePromoRedemption)
+  cancelled: async (booking) => {
+    await releaseSeatHold(booking, "cancelled");
+    await releasePromoRedemption(booking, "cancelled");
+  },
+  refunded: (booking) => releaseSeatHold(booking, "refunded"),
+  // The booking never went through, so its promo use comes back
+  payment_failed: (booking) =>
+    releasePromoRedemption(booking, "payment_failed"),
+};
 
-    if (adminUser.role !== "admin") {
-      return res.status(403).json({
-        success: false,
-        message: "Only admins can access this endpoint",
+// Traveler notification sent when a booking enters these statuses
+const BOOKING_STATUS_EVENTS = {
+  accepted: "booking.accepted",
+  rejected: "booking.rejected",
+  cancelled: "booking.cancelled",
+  paid: "payment.confirmed",
+  refunded: "payment.refunded",
+};
+
+// ...and the vendor, for these
+const VENDOR_BOOKING_STATUS_EVENTS = {
+  paid: "payment.received",
+  cancelled: "booking.cancelledForVendor",
+};
+
+// Which actors the signed-in user can act as for this booking
+async function bookingActorsFor(booking, user) {
+  const actors = [];
+  if (user.role === "admin") actors.push("admin");
+  if (booking.userEmail === user.email) actors.push("buyer");
+
+  if (user.role === "vendor") {
+    let ownsTicket =
+      booking.vendorEmail === user.email ||
+      String(booking.vendorId) === user._id.toString();
+
+    if (!ownsTicket && ObjectId.isValid(booking.ticketId)) {
+      const ticket = await ticketsCollection.findOne({
+        _id: new ObjectId(booking.ticketId),
       });
+      ownsTicket = !!ticket && isTicketOwner(ticket, user);
     }
+    if (ownsTicket) actors.push("vendor");
+  }
 
-    const { status } = req.query;
+  return actors;
+}
 
-    let query = {};
-    if (status && ["pending", "approved", "rejected"].includes(status)) {
-      query.status = status;
-    }
+// Checks a transition without applying it. Returns { performedAs } when
+// allowed, otherwise an error result ({ status, success: false, message }).
+function checkBookingTransition(fromStatus, toStatus, actor) {
+  const actors = Array.isArray(actor) ? actor : [actor];
 
-    const requests = await roleRequestsCollection
-      .find(query)
-      .sort({ requestDate: -1 })
-      .toArray();
+  if (!BOOKING_STATUSES.includes(toStatus)) {
+    return {
+      status: 400,
+      success: false,
+      message: `Invalid status. Must be one of: ${BOOKING_STATUSES.join(", ")}`,
+    };
+  }
 
-    res.json({
-      success: true,
-      data: requests,
-    });
-  } catch (error) {
-    console.error("Error fetching role requests:", error);
-    res.status(500).json({
+  const allowedActors = BOOKING_TRANSITIONS[fromStatus]?.[toStatus];
+  if (!allowedActors) {
+    return {
+      status: 409,
       success: false,
-      message: error.message,
-    });
+      message: `Cannot change booking from ${fromStatus} to ${toStatus}`,
+    };
   }
-});
 
-//  
-// FIXED: PUT /api/admin/role-requests/:requestId
-// Replace this in your index.js
-//  
+  const performedAs = actors.find((a) => allowedActors.includes(a));
+  if (!performedAs) {
+    return {
+      status: 403,
+      success: false,
+      message: `Forbidden: only ${allowedActors.join(", ")} can mark a ${fromStatus} booking as ${toStatus}`,
+    };
+  }
 
-app.put(
-  "/api/admin/role-requests/:requestId",
-  verifyToken,
-  async (req, res) => {
-    try {
-      const { action, rejectionReason } = req.body; // "approve" or "reject"
+  return { performedAs };
+}
+
+// Validates and applies a status change. `actor` is one of vendor, buyer,
+// admin, system (or an array of the roles the caller holds). Extra fields in
+// `set` are written in the same atomic update.
+// Returns { status, success, message, data } like fulfillCheckoutSession.
+async function transitionBooking(booking, toStatus, options = {}) {
+  const { actor, by = null, note = null, set = {} } = options;
+  const fromStatus = booking.status;
+
+  const check = checkBookingTransition(fromStatus, toStatus, actor);
+  if (!check.performedAs) return check;
+  const { performedAs } = check;
+
+  const now = new Date();
+  const updated = await bookingCollection.findOneAndUpdate(
+    { _id: booking._id, status: fromStatus },
+    {
+      $set: { ...set, status: toStatus, updatedAt: now },
+      $push: {
+        statusHistory: {
+          from: fromStatus,
+          to: toStatus,
+          actor: performedAs,
+          by,
+          note,
+          at: now,
+        },
+      },
+    },
+    { returnDocument: "after" }
+  );
+
+  // Someone else moved the booking first
+  if (!updated) {
+    return {
+      status: 409,
+      success: false,
+      message: `Booking is no longer ${fromStatus}`,
+    };
+  }
+
+  const sideEffect = BOOKING_SIDE_EFFECTS[toStatus];
+  if (sideEffect) await sideEffect(updated);
+
+  publishBookingEvent(updated, "booking.status_changed", {
+    from: fromStatus,
+    actor: performedAs,
+  });
+
+  // The traveler already knows about changes they made themselves
+  const event = BOOKING_STATUS_EVENTS[toStatus];
+  if (event && performedAs !== "buyer") {
+    await notify(event, updated.userEmail, { booking: updated, note });
+  }
+  const vendorEvent = VENDOR_BOOKING_STATUS_EVENTS[toStatus];
+  if (vendorEvent && performedAs !== "vendor") {
+    await notify(vendorEvent, updated.vendorEmail, { booking: updated, note });
+  }
+
+  return {
+    status: 200,
+    success: true,
+    message: `Booking ${toStatus} successfully`,
+    data: updated,
+  };
+}
+
+//  
+// COLLECTION VALIDATORS
+//  
+// Stored-document schemas: the payload schema plus server-owned fields
+const COLLECTION_SCHEMAS = {
+  ticketsCollection: {
+    ...ticketSchema,
+    // Route tickets copy this from the first stop, which isn't pattern-checked
+    departureTime: { type: "string" },
+    vendorId: { type: "string", required: true },
+    vendorEmail: { type: "string", required: true },
+    status: ticketUpdateSchema.status,
+    isAdvertised: ticketUpdateSchema.isAdvertised,
+    ratingAverage: { type: "number", min: 1, max: 5 },
+    reviewCount: { type: "integer", min: 0 },
+    scheduleId: { type: "string" },
+    scheduleDate: { type: "date" },
+  },
+  bookingCollection: {
+    ticketId: bookingSchema.ticketId,
+    bookingQuantity: { ...bookingSchema.bookingQuantity, required: true },
+    totalPrice: { type: "number", required: true, min: 0 },
+    userEmail: { type: "string", required: true },
+    status: { type: "string", required: true, enum: BOOKING_STATUSES },
+    seats: bookingSchema.seats,
+    currency: ticketSchema.currency,
+    exchangeRate: { type: "number", min: 0 },
+    boardedCount: { type: "integer", min: 0 },
+  },
+  roleRequests: {
+    userEmail: { type: "string", required: true },
+    requestedRole: roleRequestSchema.requestedRole,
+    status: {
+      type: "string",
+      required: true,
+      enum: ["pending", "approved", "rejected"],
+    },
+  },
+  users: {
+    email: userProfileSchema.email,
+    role: { type: "string", enum: USER_ROLES },
+    isFraud: { type: "boolean" },
+  },
+  waitlist: {
+    ticketId: { type: "string", required: true },
+    userEmail: { type: "string", required: true },
+    quantity: { ...waitlistSchema.quantity, required: true },
+    status: { type: "string", required: true, enum: WAITLIST_STATUSES },
+  },
+  schedules: {
+    vendorId: { type: "string", required: true },
+    vendorEmail: { type: "string", required: true },
+    template: { type: "object", required: true },
+    frequency: scheduleSchema.frequency,
+    days: scheduleSchema.days,
+    startDate: scheduleSchema.startDate,
+    endDate: scheduleSchema.endDate,
+    horizonDays: scheduleSchema.horizonDays,
+    status: { ...ticketUpdateSchema.status, required: true },
+    exceptions: { type: "object" },
+  },
+  reviews: {
+    ...reviewSchema,
+    ticketId: { type: "string", required: true },
+    userEmail: { type: "string", required: true },
+    status: { type: "string", required: true, enum: REVIEW_STATUSES },
+  },
+};
+
+const BSON_TYPES = {
+  string: ["string"],
+  number: ["double", "int", "long", "decimal"],
+  integer: ["int", "long", "double"],
+  boolean: ["bool"],
+  // Older documents may hold a Date
+  date: ["string", "date"],
+  datetime: ["date"],
+  array: ["array"],
+  object: ["object"],
+};
+
+function toJsonSchema(schema) {
+  const properties = {};
+  const required = [];
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const isRequired = spec.required === true;
+    if (isRequired) required.push(field);
+
+    // Optional fields are stored as null when absent (e.g. photoURL)
+    const property = {
+      bsonType: isRequired
+        ? BSON_TYPES[spec.type]
+        : [...BSON_TYPES[spec.type], "null"],
+    };
+    if (spec.min !== undefined) property.minimum = spec.min;
+    if (spec.max !== undefined) property.maximum = spec.max;
+    if (spec.enum) property.enum = isRequired ? spec.enum : [...spec.enum, null];
+    if (spec.type === "string") {
+      if (spec.minLength !== undefined) property.minLength = spec.minLength;
+      if (spec.maxLength !== undefined) property.maxLength = spec.maxLength;
+      if (spec.pattern) property.pattern = spec.pattern;
+    }
+    if (spec.items) property.items = { bsonType: BSON_TYPES[spec.items.type] };
+    if (spec.maxItems !== undefined) property.maxItems = spec.maxItems;
+    properties[field] = property;
+  }
+
+  return {
+    $jsonSchema: {
+      bsonType: "object",
+      ...(required.length > 0 && { required }),
+      properties,
+    },
+  };
+}
+
+// Installs COLLECTION_SCHEMAS as collection validators. "moderate" keeps
+// legacy documents that predate the schema updatable.
+async function installCollectionValidators() {
+  for (const [name, schema] of Object.entries(COLLECTION_SCHEMAS)) {
+    const options = {
+      validator: toJsonSchema(schema),
+      validationLevel: "moderate",
+      validationAction: "error",
+    };
+    try {
+      await db.command({ collMod: name, ...options });
+    } catch (err) {
+      if (err.codeName !== "NamespaceNotFound") {
+        console.warn(`⚠ Could not install validator on ${name}:`, err.message);
+        continue;
+      }
+      await db.createCollection(name, options);
+    }
+  }
+}
+
+//  
+// NOTIFICATIONS
+// notify() delivers an event on both channels: an in-app entry in the
+// recipient's notifications inbox and an email. Both are rendered from
+// NOTIFICATION_TEMPLATES. Emails go into the emailOutbox
+// collection and delivered by a background sweep, so a slow or failing mail
+// server never blocks a request. Failed sends are retried with exponential
+// backoff. EMAIL_TRANSPORT picks the transport: "smtp" (SMTP_HOST, SMTP_PORT,
+// SMTP_USER, SMTP_PASS, SMTP_SECURE), "file" (appends JSON lines to
+// EMAIL_OUTBOX_FILE) or "console" (default, for development).
+//  
+const EMAIL_FROM = process.env.EMAIL_FROM || "Mavenux <no-reply@mavenux.app>";
+const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const EMAIL_RETRY_BASE_MS = 30 * 1000;
+const EMAIL_RETRY_MAX_MS = 60 * 60 * 1000;
+const EMAIL_SWEEP_MS = 30 * 1000;
+const EMAIL_SWEEP_BATCH = 20;
+// A "sending" message older than this was abandoned by a crashed process
+const EMAIL_SEND_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Every category is on until the user turns it off; `email` mutes them all.
+// Preferences only affect email; the in-app inbox receives everything.
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  email: true,
+  bookings: true,
+  payments: true,
+  roleRequests: true,
+  tickets: true,
+};
+
+const describeTrip = (booking) =>
+  `${booking.ticketTitle} (${booking.from} → ${booking.to}) on ` +
+  `${booking.departureDate}${booking.departureTime ? ` at ${booking.departureTime}` : ""}`;
+
+const describeSeats = (booking) =>
+  booking.seats?.length
+    ? `Seats: ${booking.seats.join(", ")}`
+    : `Tickets: ${booking.bookingQuantity}`;
+
+// Each template renders { subject, text } from the data passed to notify().
+// Templates whose category has no preference (account) are always emailed.
+const NOTIFICATION_TEMPLATES = {
+  "booking.accepted": {
+    category: "bookings",
+    render: ({ booking }) => ({
+      subject: `Booking accepted: ${booking.ticketTitle}`,
+      text: [
+        `Good news! The vendor accepted your booking for ${describeTrip(booking)}.`,
+        describeSeats(booking),
+        `Total: ${formatMoney(booking.totalPrice, priceCurrency(booking))}`,
+        "Complete the payment from My Bookings to confirm your seats.",
+      ].join("\n"),
+    }),
+  },
+  "booking.rejected": {
+    category: "bookings",
+    render: ({ booking, note }) => ({
+      subject: `Booking rejected: ${booking.ticketTitle}`,
+      text: [
+        `The vendor rejected your booking for ${describeTrip(booking)}.`,
+        note ? `Reason: ${note}` : null,
+        "Your held seats have been released.",
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    }),
+  },
+  "booking.cancelled": {
+    category: "bookings",
+    render: ({ booking, note }) => ({
+      subject: `Booking cancelled: ${booking.ticketTitle}`,
+      text: [
+        `Your booking for ${describeTrip(booking)} was cancelled.`,
+        note ? `Reason: ${note}` : null,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    }),
+  },
+  "payment.confirmed": {
+    category: "payments",
+    render: ({ booking }) => ({
+      subject: `Payment confirmed: ${booking.ticketTitle}`,
+      text: [
+        `We received your payment of ${formatMoney(booking.totalPrice, priceCurrency(booking))} for ${describeTrip(booking)}.`,
+        describeSeats(booking),
+        booking.transactionId ? `Transaction: ${booking.transactionId}` : null,
+        "Have a safe trip!",
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    }),
+  },
+  "payment.refunded": {
+    category: "payments",
+    render: ({ booking }) => ({
+      subject: `Refund issued: ${booking.ticketTitle}`,
+      text: [
+        `A refund of ${formatMoney(booking.refundedAmount, priceCurrency(booking))} was issued for ${describeTrip(booking)}.`,
+        "It may take 5-10 business days to appear on your statement.",
+      ].join("\n"),
+    }),
+  },
+  "roleRequest.approved": {
+    category: "roleRequests",
+    render: ({ request }) => ({
+      subject: `Your ${request.requestedRole} request was approved`,
+      text: `Your request to become a ${request.requestedRole} has been approved. Sign in again to access your new dashboard.`,
+    }),
+  },
+  "roleRequest.rejected": {
+    category: "roleRequests",
+    render: ({ request, reason }) => ({
+      subject: `Your ${request.requestedRole} request was rejected`,
+      text: [
+        `Your request to become a ${request.requestedRole} was not approved.`,
+        reason ? `Reason: ${reason}` : null,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    }),
+  },
+  "ticket.approved": {
+    category: "tickets",
+    render: ({ ticket }) => ({
+      subject: `Ticket approved: ${ticket.title}`,
+      text: `Your ticket "${ticket.title}" (${ticket.from} → ${ticket.to}, ${ticket.departureDate}) is approved and now visible to travelers.`,
+    }),
+  },
+  "ticket.rejected": {
+    category: "tickets",
+    render: ({ ticket }) => ({
+      subject: `Ticket rejected: ${ticket.title}`,
+      text: `Your ticket "${ticket.title}" (${ticket.from} → ${ticket.to}, ${ticket.departureDate}) was rejected by an administrator.`,
+    }),
+  },
+  "schedule.approved": {
+    category: "tickets",
+    render: ({ schedule }) => ({
+      subject: `Schedule approved: ${schedule.template.title}`,
+      text: `Your schedule "${schedule.template.title}" (${schedule.template.from} → ${schedule.template.to}) is approved. Its tickets are generated ${schedule.horizonDays || SCHEDULE_HORIZON_DAYS} days ahead.`,
+    }),
+  },
+  "schedule.rejected": {
+    category: "tickets",
+    render: ({ schedule }) => ({
+      subject: `Schedule rejected: ${schedule.template.title}`,
+      text: `Your schedule "${schedule.template.title}" (${schedule.template.from} → ${schedule.template.to}) was rejected by an administrator. No tickets will be generated from it.`,
+    }),
+  },
+  "waitlist.offered": {
+    category: "bookings",
+    render: ({ entry, ticket }) => ({
+      subject: `Seats available: ${ticket.title}`,
+      text: [
+        `${entry.quantity} seat(s) on ${ticket.title} (${entry.fromStop} → ${entry.toStop}, ${ticket.departureDate}) are reserved for you.`,
+        `Book them before ${entry.offer.expiresAt.toISOString()} or they go to the next person on the waitlist.`,
+      ].join("\n"),
+    }),
+  },
+  "review.received": {
+    category: "tickets",
+    render: ({ booking, review }) => ({
+      subject: `New ${review.rating}-star review: ${booking.ticketTitle}`,
+      text: [
+        `${review.userName} rated ${describeTrip(booking)} ${review.rating}/5.`,
+        review.comment ? `"${review.comment}"` : null,
+        "You can reply from your reviews page.",
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    }),
+  },
+  "review.replied": {
+    category: "bookings",
+    render: ({ review }) => ({
+      subject: `The vendor replied to your review: ${review.ticketTitle}`,
+      text: [
+        `The vendor replied to your review of ${review.ticketTitle}:`,
+        review.reply.text,
+      ].join("\n"),
+    }),
+  },
+  "booking.requested": {
+    category: "bookings",
+    render: ({ booking }) => ({
+      subject: `New booking request: ${booking.ticketTitle}`,
+      text: [
+        `${booking.userName || booking.userEmail} requested ${describeTrip(booking)}.`,
+        describeSeats(booking),
+        "Accept or reject it from Requested Bookings.",
+      ].join("\n"),
+    }),
+  },
+  "booking.cancelledForVendor": {
+    category: "bookings",
+    render: ({ booking }) => ({
+      subject: `Booking cancelled: ${booking.ticketTitle}`,
+      text: [
+        `The booking by ${booking.userEmail} for ${describeTrip(booking)} was cancelled.`,
+        "The seats are available again.",
+      ].join("\n"),
+    }),
+  },
+  "payment.received": {
+    category: "payments",
+    render: ({ booking }) => ({
+      subject: `Payment received: ${booking.ticketTitle}`,
+      text: [
+        `${booking.userEmail} paid ${formatMoney(booking.totalPrice, priceCurrency(booking))} for ${describeTrip(booking)}.`,
+        describeSeats(booking),
+      ].join("\n"),
+    }),
+  },
+  "account.flagged": {
+    category: "account",
+    render: ({ ticketsRejected, schedulesRejected }) => ({
+      subject: "Your account has been restricted",
+      text: [
+        "An administrator flagged your account for suspected fraud. You can no longer publish tickets or accept bookings.",
+        ticketsRejected ? `${ticketsRejected} of your ticket(s) were taken down.` : null,
+        schedulesRejected ? `${schedulesRejected} of your recurring schedule(s) were stopped.` : null,
+        "Contact support if you believe this is a mistake.",
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    }),
+  },
+  "account.unflagged": {
+    category: "account",
+    render: () => ({
+      subject: "Your account restriction was lifted",
+      text: "An administrator removed the fraud flag from your account. Tickets you publish from now on can be approved again.",
+    }),
+  },
+};
+
+// Transports share one method: send({ from, to, subject, text })
+function createEmailTransport() {
+  const kind = process.env.EMAIL_TRANSPORT || "console";
+
+  if (kind === "smtp") {
+    const mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return { name: "smtp", send: (message) => mailer.sendMail(message) };
+  }
+
+  if (kind === "file") {
+    const file = process.env.EMAIL_OUTBOX_FILE || "emails.log";
+    return {
+      name: "file",
+      send: (message) =>
+        fs.promises.appendFile(
+          file,
+          JSON.stringify({ ...message, sentAt: new Date() }) + "\n"
+        ),
+    };
+  }
+
+  return {
+    name: "console",
+    send: async (message) =>
+      console.log(
+        `📧 [email] to=${message.to} subject="${message.subject}"\n${message.text}`
+      ),
+  };
+}
+
+const emailTransport = createEmailTransport();
+
+const notificationPreferences = (user) => ({
+  ...DEFAULT_NOTIFICATION_PREFERENCES,
+  ...(user?.notificationPreferences || {}),
+});
+
+// Sends `event` to `to` on every channel. Never throws: a notification
+// problem must not fail the action behind it.
+const notify = (event, to, data) =>
+  Promise.all([
+    createInAppNotification(event, to, data),
+    queueEmail(event, to, data),
+  ]);
+
+// Ids the client needs to link a notification to what it is about
+const notificationRefs = ({ booking, ticket, request }) => ({
+  bookingId: booking?._id?.toString() || null,
+  ticketId: ticket?._id?.toString() || booking?.ticketId || null,
+  requestId: request?._id?.toString() || null,
+});
+
+async function createInAppNotification(event, to, data) {
+  try {
+    const template = NOTIFICATION_TEMPLATES[event];
+    if (!template || !to) return null;
+
+    const { subject, text } = template.render(data);
+    const notification = {
+      userEmail: to,
+      event,
+      category: template.category,
+      title: subject,
+      body: text,
+      refs: notificationRefs(data),
+      read: false,
+      readAt: null,
+      createdAt: new Date(),
+    };
+    await notificationsCollection.insertOne(notification);
+    return notification;
+  } catch (error) {
+    console.error("❌ Failed to create notification:", event, to, error);
+    return null;
+  }
+}
+
+// Renders `event` for `to` and queues the email unless the recipient opted out
+async function queueEmail(event, to, data) {
+  try {
+    const template = NOTIFICATION_TEMPLATES[event];
+    if (!template || !to) return null;
+
+    const user = await usersCollection.findOne(
+      { email: to },
+      { projection: { notificationPreferences: 1 } }
+    );
+    const preferences = notificationPreferences(user);
+    if (!preferences.email || preferences[template.category] === false) {
+      return null;
+    }
+
+    const { subject, text } = template.render(data);
+    const now = new Date();
+    const message = {
+      event,
+      category: template.category,
+      to,
+      subject,
+      text,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+    };
+    await emailOutboxCollection.insertOne(message);
+
+    // Deliver right away instead of waiting for the next sweep
+    processEmailOutbox().catch((err) =>
+      console.error("❌ Email outbox run failed:", err)
+    );
+    return message;
+  } catch (error) {
+    console.error("❌ Failed to queue notification:", event, to, error);
+    return null;
+  }
+}
+
+const emailRetryDelay = (attempts) =>
+  Math.min(EMAIL_RETRY_BASE_MS * 2 ** (attempts - 1), EMAIL_RETRY_MAX_MS);
+
+let emailOutboxRunning = false;
+
+// Sends due messages, claiming each one atomically so two processes never
+// deliver the same email
+async function processEmailOutbox() {
+  if (emailOutboxRunning) return;
+  emailOutboxRunning = true;
+
+  try {
+    for (let processed = 0; processed < EMAIL_SWEEP_BATCH; processed++) {
+      const now = new Date();
+      const message = await emailOutboxCollection.findOneAndUpdate(
+        {
+          $or: [
+            { status: "pending", nextAttemptAt: { $lte: now } },
+            {
+              status: "sending",
+              lockedAt: { $lte: new Date(now.getTime() - EMAIL_SEND_TIMEOUT_MS) },
+            },
+          ],
+        },
+        { $set: { status: "sending", lockedAt: now } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+      );
+      if (!message) break;
+
+      try {
+        await emailTransport.send({
+          from: EMAIL_FROM,
+          to: message.to,
+          subject: message.subject,
+          text: message.text,
+        });
+        await emailOutboxCollection.updateOne(
+          { _id: message._id },
+          {
+            $set: {
+              status: "sent",
+              sentAt: new Date(),
+              transport: emailTransport.name,
+            },
+            $inc: { attempts: 1 },
+            $unset: { lockedAt: "" },
+          }
+        );
+      } catch (error) {
+        const attempts = message.attempts + 1;
+        const gaveUp = attempts >= EMAIL_MAX_ATTEMPTS;
+        console.error(
+          `❌ Email to ${message.to} failed (attempt ${attempts}${gaveUp ? ", giving up" : ""}):`,
+          error.message
+        );
+        await emailOutboxCollection.updateOne(
+          { _id: message._id },
+          {
+            $set: {
+              status: gaveUp ? "failed" : "pending",
+              attempts,
+              lastError: error.message,
+              nextAttemptAt: new Date(Date.now() + emailRetryDelay(attempts)),
+            },
+            $unset: { lockedAt: "" },
+          }
+        );
+      }
+    }
+  } finally {
+    emailOutboxRunning = false;
+  }
+}
+
+// Tells the vendor their listing was approved or rejected
+const notifyTicketStatus = (ticket) =>
+  notify(`ticket.${ticket.status}`, ticket.vendorEmail, { ticket });
+
+// GET the signed-in user's notification preferences
+app.get("/api/user/notification-preferences", verifyToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne(
+      { email: req.tokenEmail },
+      { projection: { notificationPreferences: 1 } }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    res.json({ success: true, data: notificationPreferences(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// PUT update any subset of the preferences
+app.put(
+  "/api/user/notification-preferences",
+  verifyToken,
+  validateBody(notificationPreferencesSchema, { partial: true }),
+  async (req, res) => {
+    try {
+      const $set = Object.fromEntries(
+        Object.entries(req.body).map(([key, value]) => [
+          `notificationPreferences.${key}`,
+          value,
+        ])
+      );
+      if (Object.keys($set).length === 0) {
+        return sendBadRequest(res, "No preferences to update");
+      }
+
+      const user = await usersCollection.findOneAndUpdate(
+        { email: req.tokenEmail },
+        { $set },
+        { returnDocument: "after", projection: { notificationPreferences: 1 } }
+      );
+      if (!user) {
+        return res
+          .status(404)
+          .json({ success: false, message: "User not found" });
+      }
+
+      res.json({
+        success: true,
+        message: "Notification preferences updated",
+        data: notificationPreferences(user),
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// GET the signed-in user's inbox, newest first (?unread=true for unread only)
+app.get("/api/notifications", verifyToken, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { userEmail: req.tokenEmail };
+    if (req.query.unread === "true") filter.read = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      notificationsCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      notificationsCollection.countDocuments(filter),
+      notificationsCollection.countDocuments({
+        userEmail: req.tokenEmail,
+        read: false,
+      }),
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// GET unread count - cheap enough for the dashboard badge to poll
+app.get("/api/notifications/unread-count", verifyToken, async (req, res) => {
+  try {
+    const unreadCount = await notificationsCollection.countDocuments({
+      userEmail: req.tokenEmail,
+      read: false,
+    });
+
+    res.json({ success: true, data: { unreadCount } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// PUT mark every notification as read
+app.put("/api/notifications/read-all", verifyToken, async (req, res) => {
+  try {
+    const result = await notificationsCollection.updateMany(
+      { userEmail: req.tokenEmail, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: "All notifications marked as read",
+      data: { updated: result.modifiedCount },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// PUT mark one notification as read
+app.put("/api/notifications/:id/read", verifyToken, async (req, res) => {
+  try {
+    const notification = await notificationsCollection.findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), userEmail: req.tokenEmail },
+      [
+        {
+          $set: {
+            read: true,
+            readAt: { $ifNull: ["$readAt", "$$NOW"] },
+          },
+        },
+      ],
+      { returnDocument: "after" }
+    );
+
+    if (!notification) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Notification not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Notification marked as read",
+      data: notification,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+//  
+// REAL-TIME EVENTS (Server-Sent Events)
+// GET /api/events/stream keeps a connection open and pushes:
+//   booking.created / booking.status_changed  to the buyer and the vendor
+//   seats.availability                        for each ticket in ?tickets=
+// Authenticated like every other route; the token may also come as ?token=
+// for EventSource. Subscribers live in this process's memory, so with
+// several instances a client only hears events from the one it reached.
+// Events are not replayed: after a reconnect clients should refetch.
+//  
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_RETRY_MS = 5000;
+const MAX_STREAMS_PER_USER = 5;
+const MAX_STREAM_TICKETS = 8;
+
+// channel ("user:<email>" | "ticket:<id>") -> Set of open responses
+const streamChannels = new Map();
+let streamEventId = 0;
+
+const userChannel = (email) => `user:${email}`;
+const ticketChannel = (ticketId) => `ticket:${ticketId}`;
+
+function subscribeStream(channel, res) {
+  if (!streamChannels.has(channel)) streamChannels.set(channel, new Set());
+  streamChannels.get(channel).add(res);
+}
+
+function unsubscribeStream(channel, res) {
+  const subscribers = streamChannels.get(channel);
+  if (!subscribers) return;
+  subscribers.delete(res);
+  if (subscribers.size === 0) streamChannels.delete(channel);
+}
+
+const hasStreamSubscribers = (channel) => streamChannels.has(channel);
+
+function writeStreamEvent(res, event, data) {
+  res.write(`id: ${++streamEventId}\nevent: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function publishEvent(channel, event, data) {
+  const subscribers = streamChannels.get(channel);
+  if (!subscribers) return;
+  for (const res of subscribers) writeStreamEvent(res, event, data);
+}
+
+// Booking events carry a summary; clients fetch the full booking if needed
+const bookingEventData = (booking) => ({
+  bookingId: booking._id.toString(),
+  ticketId: booking.ticketId,
+  ticketTitle: booking.ticketTitle,
+  status: booking.status,
+  bookingQuantity: booking.bookingQuantity,
+  totalPrice: booking.totalPrice,
+  ...(booking.seats && { seats: booking.seats }),
+  userEmail: booking.userEmail,
+  updatedAt: booking.updatedAt,
+});
+
+function publishBookingEvent(booking, event, extra = {}) {
+  const data = { ...bookingEventData(booking), ...extra };
+  publishEvent(userChannel(booking.userEmail), event, data);
+  if (booking.vendorEmail && booking.vendorEmail !== booking.userEmail) {
+    publishEvent(userChannel(booking.vendorEmail), event, data);
+  }
+}
+
+// Pushes a ticket's current free seats to its viewers. Never throws, so
+// seat ledger code can call it without awaiting.
+async function publishSeatAvailability(ticketId) {
+  const channel = ticketChannel(ticketId.toString());
+  if (!hasStreamSubscribers(channel)) return;
+
+  try {
+    const ticket = await ticketsCollection.findOne({
+      _id: new ObjectId(ticketId),
+    });
+    if (!ticket) return;
+
+    publishEvent(channel, "seats.availability", {
+      ticketId: ticket._id.toString(),
+      ticketQuantity: ticketCapacity(ticket),
+      availableQuantity: availableSeats(ticket),
+      updatedAt: ticket.updatedAt,
+    });
+  } catch (error) {
+    console.error("❌ Failed to publish seat availability:", ticketId, error);
+  }
+}
+
+// Lets EventSource clients pass the token in the query string
+const verifyStreamToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  verifyToken(req, res, next);
+};
+
+app.get("/api/events/stream", verifyStreamToken, (req, res) => {
+  const ticketIds = [...new Set(csvList(req.query.tickets))];
+  if (ticketIds.length > MAX_STREAM_TICKETS) {
+    return sendBadRequest(
+      res,
+      `At most ${MAX_STREAM_TICKETS} tickets can be watched per stream`
+    );
+  }
+  if (!ticketIds.every(isObjectIdString)) {
+    return sendBadRequest(res, "tickets must be a comma-separated list of ids");
+  }
+
+  const ownChannel = userChannel(req.tokenEmail);
+  if ((streamChannels.get(ownChannel)?.size || 0) >= MAX_STREAMS_PER_USER) {
+    return res.status(429).json({
+      success: false,
+      message: "Too many open event streams",
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stops nginx-style proxies from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const channels = [ownChannel, ...ticketIds.map(ticketChannel)];
+  channels.forEach((channel) => subscribeStream(channel, res));
+  writeStreamEvent(res, "ready", { channels });
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    channels.forEach((channel) => unsubscribeStream(channel, res));
+  });
+});
+
+//  
+// TICKET ROUTES (PROTECTED)
+//  
+
+// Price buckets for the search facet (upper bound exclusive)
+const PRICE_BUCKET_BOUNDARIES = [0, 500, 1000, 2000, 5000, 10000];
+
+const TICKET_SORTS = {
+  "price-asc": { price: 1 },
+  "price-desc": { price: -1 },
+  "departure-asc": { departureDate: 1, departureTime: 1 },
+  "departure-desc": { departureDate: -1, departureTime: -1 },
+  relevance: { score: { $meta: "textScore" } },
+  newest: { createdAt: -1 },
+  // Unrated tickets sort last
+  rating: { ratingAverage: -1, reviewCount: -1 },
+};
+
+// Seats free on the whole ticket as a Mongo expression (busiest leg for routes)
+const ticketAvailableExpr = {
+  $cond: [
+    { $isArray: "$legHeld" },
+    {
+      $subtract: [
+        capacityExpr,
+        {
+          $max: {
+            $map: {
+              input: { $range: [0, { $size: "$legHeld" }] },
+              as: "leg",
+              in: legLoadExpr("$$leg"),
+            },
+          },
+        },
+      ],
+    },
+    availableSeatsExpr,
+  ],
+};
+
+const toNumberOrUndefined = (value) =>
+  value === undefined || value === "" || isNaN(Number(value))
+    ? undefined
+    : Number(value);
+
+const csvList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// ?from=&to= as a Mongo range of Dates ({ range } or { error }).
+// A bare "YYYY-MM-DD" `to` covers that whole day.
+function parseDateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    range.$lte = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      range.$lte.setUTCHours(23, 59, 59, 999);
+    }
+  }
+  if (Object.values(range).some((date) => isNaN(date.getTime()))) {
+    return { error: "from/to must be valid dates" };
+  }
+  if (range.$gte && range.$lte && range.$gte > range.$lte) {
+    return { error: "from must be before to" };
+  }
+  return { range };
+}
+
+// Builds the $match stage for GET /api/tickets from its query string
+function buildTicketSearchMatch(params) {
+  const { q, from, to, transportType, vendorId, vendor, perks } = params;
+  const conditions = [{ status: "approved" }];
+
+  if (q) conditions.push({ $text: { $search: String(q) } });
+
+  if (from || to) {
+    const directMatch = {};
+    if (from) directMatch.from = { $regex: escapeRegex(from), $options: "i" };
+    if (to) directMatch.to = { $regex: escapeRegex(to), $options: "i" };
+    // Direct tickets as before, plus route tickets stopping at both places in order
+    conditions.push({ $or: [directMatch, routeSegmentQuery(from, to)] });
+  }
+
+  if (transportType) {
+    const types = csvList(transportType);
+    conditions.push({
+      transportType: types.length > 1 ? { $in: types } : types[0],
+    });
+  }
+
+  if (vendorId) conditions.push({ vendorId: String(vendorId) });
+  if (vendor) {
+    conditions.push({
+      vendorName: { $regex: escapeRegex(vendor), $options: "i" },
+    });
+  }
+
+  const perkList = csvList(perks);
+  if (perkList.length > 0) {
+    conditions.push({ perks: { $all: perkList.map(exactNameRegex) } });
+  }
+
+  const minPrice = toNumberOrUndefined(params.minPrice);
+  const maxPrice = toNumberOrUndefined(params.maxPrice);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    conditions.push({
+      price: {
+        ...(minPrice !== undefined && { $gte: minPrice }),
+        ...(maxPrice !== undefined && { $lte: maxPrice }),
+      },
+    });
+  }
+
+  // departureDate may be stored as "YYYY-MM-DD" or as a Date
+  const { dateFrom, dateTo } = params;
+  if (dateFrom || dateTo) {
+    const range = (toValue) => ({
+      ...(dateFrom && { $gte: toValue(dateFrom) }),
+      ...(dateTo && { $lte: toValue(dateTo, true) }),
+    });
+    conditions.push({
+      $or: [
+        { departureDate: range((d) => String(d)) },
+        {
+          departureDate: range((d, endOfDay) => {
+            const date = new Date(d);
+            if (endOfDay) date.setUTCHours(23, 59, 59, 999);
+            return date;
+          }),
+        },
+      ],
+    });
+  }
+
+  const minRating = toNumberOrUndefined(params.minRating);
+  if (minRating !== undefined) {
+    conditions.push({ ratingAverage: { $gte: minRating } });
+  }
+
+  const minSeats = toNumberOrUndefined(params.minSeats);
+  if (minSeats !== undefined || params.available === "true") {
+    conditions.push({
+      $expr: { $gte: [ticketAvailableExpr, minSeats || 1] },
+    });
+  }
+
+  return { $and: conditions };
+}
+
+// GET all approved tickets
+// Filters: q (text), from, to, transportType, vendorId, vendor, perks,
+// minPrice/maxPrice, dateFrom/dateTo, minSeats or available=true, minRating.
+// Sorts: price-asc, price-desc, departure-asc, departure-desc, relevance,
+// newest, rating.
+// Facets: counts per transport type and per price bucket.
+// currency=XYZ adds each ticket's price converted to XYZ (display only;
+// price filters, sorts and buckets use each ticket's own currency).
+app.get("/api/tickets", async (req, res) => {
+  try {
+    const { q, from, to, sortBy, connections } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 9));
+
+    if (sortBy && !TICKET_SORTS[sortBy]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sortBy. Must be one of: ${Object.keys(TICKET_SORTS).join(", ")}`,
+      });
+    }
+    if (sortBy === "relevance" && !q) {
+      return res.status(400).json({
+        success: false,
+        message: "sortBy=relevance requires a q search term",
+      });
+    }
+
+    const display = await displayCurrency(req.query);
+    if (display.error) return sendBadRequest(res, display.error);
+
+    const match = buildTicketSearchMatch(req.query);
+    const sort = TICKET_SORTS[sortBy || (q ? "relevance" : "newest")];
+
+    const [result] = await ticketsCollection
+      .aggregate([
+        { $match: match },
+        ...(q ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+        {
+          $facet: {
+            data: [
+              { $sort: { ...sort, _id: 1 } },
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+            ],
+            total: [{ $count: "count" }],
+            transportTypes: [
+              { $group: { _id: "$transportType", count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+            ],
+            priceBuckets: [
+              {
+                $bucket: {
+                  groupBy: "$price",
+                  boundaries: [
+                    ...PRICE_BUCKET_BOUNDARIES,
+                    Number.MAX_SAFE_INTEGER,
+                  ],
+                  default: "other",
+                  output: { count: { $sum: 1 } },
+                },
+              },
+            ],
+          },
+        },
+      ])
+      .toArray();
+
+    const tickets = result.data;
+    const total = result.total[0]?.count || 0;
+
+    // Route tickets matched on a sub-segment carry that segment's fare and seats
+    const data = tickets.map((ticket) => {
+      const ticketResult = presentTicket(ticket);
+      const legs = ticket.route && resolveSegment(ticket, from, to);
+      if (legs) ticketResult.segment = segmentDetails(ticket, legs);
+      return display.currency
+        ? withConvertedPrices(ticketResult, display.currency, display.rates)
+        : ticketResult;
+    });
+
+    // ?connections=true: suggest one-change journeys when nothing goes direct
+    let connectionResults;
+    if (connections === "true" && from && to) {
+      connectionResults =
+        total === 0 ? await findConnections(from, to) : [];
+    }
+
+    res.json({
+      success: true,
+      data,
+      ...(connectionResults && { connections: connectionResults }),
+      facets: {
+        transportTypes: result.transportTypes.map(({ _id, count }) => ({
+          transportType: _id,
+          count,
+        })),
+        priceBuckets: result.priceBuckets.map(({ _id, count }) => {
+          const index = PRICE_BUCKET_BOUNDARIES.indexOf(_id);
+          return {
+            min: _id === "other" ? null : _id,
+            max:
+              _id === "other" ? null : PRICE_BUCKET_BOUNDARIES[index + 1] ?? null,
+            count,
+          };
+        }),
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET single ticket (currency=XYZ adds converted prices, as in the search)
+app.get("/api/tickets/:id", verifyToken, async (req, res) => {
+  try {
+    const display = await displayCurrency(req.query);
+    if (display.error) return sendBadRequest(res, display.error);
+
+    const ticket = await ticketsCollection.findOne({
+      _id: new ObjectId(req.params.id),
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Ticket not found",
+      });
+    }
+
+    const data = presentTicket(ticket);
+    res.json({
+      success: true,
+      data: display.currency
+        ? withConvertedPrices(data, display.currency, display.rates)
+        : data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET seat map of a ticket with free/held/sold/blocked status per seat
+app.get("/api/tickets/:id/seats", verifyToken, async (req, res) => {
+  try {
+    const ticket = await ticketsCollection.findOne({
+      _id: new ObjectId(req.params.id),
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Ticket not found",
+      });
+    }
+
+    if (!ticket.seatLayout) {
+      return res.status(404).json({
+        success: false,
+        message: "This ticket has no seat map",
+      });
+    }
+
+    // Route tickets: ?fromStop=&toStop= shows the seats free on that segment
+    let legs = null;
+    if (ticket.route) {
+      legs = resolveSegment(ticket, req.query.fromStop, req.query.toStop);
+      if (!legs) {
+        return res.status(400).json({
+          success: false,
+          message: "This ticket doesn't serve that segment",
+        });
+      }
+    }
+
+    // Seat prices at today's rate; basePrice is the seat class price
+    const pricing = ticketPricing(ticket);
+    const seats = (await buildSeatMap(ticket, legs)).map((seat) => ({
+      ...seat,
+      basePrice: seat.price,
+      price: applyPricing(seat.price, pricing),
+    }));
+    const summary = seats.reduce((counts, seat) => {
+      counts[seat.status] = (counts[seat.status] || 0) + 1;
+      return counts;
+    }, { free: 0, held: 0, sold: 0, blocked: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        ticketId: ticket._id.toString(),
+        layout: ticket.seatLayout,
+        ...(legs && { segment: segmentDetails(ticket, legs) }),
+        seats,
+        summary,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET latest tickets
+app.get("/api/tickets/latest/all", async (req, res) => {
+  try {
+    const tickets = await ticketsCollection
+      .find({ status: "approved" })
+      .sort({ createdAt: -1 })
+      .limit(8)
+      .toArray();
+
+    res.json({ success: true, data: tickets.map(presentTicket) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET advertised tickets
+app.get("/api/tickets/advertised/all", async (req, res) => {
+  try {
+    const tickets = await ticketsCollection
+      .find({
+        status: "approved",
+        isAdvertised: true,
+      })
+      .limit(6)
+      .toArray();
+
+    res.json({ success: true, data: tickets.map(presentTicket) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+//  
+// FIXED: GET /api/tickets/vendor/me
+// Replace this endpoint in your index.js
+//  
+
+app.get("/api/tickets/vendor/me", verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const vendorEmail = req.tokenEmail;
+
+    console.log("🎫 GET /api/tickets/vendor/me");
+    console.log("📧 Vendor email from token:", vendorEmail);
+
+    // Vendor document loaded by verifyVendor
+    const vendor = req.user;
+
+    console.log("✅ Vendor found:", {
+      _id: vendor._id.toString(),
+      email: vendor.email,
+      role: vendor.role,
+    });
+
+    // Get vendor ID as string
+    const vendorIdString = vendor._id.toString();
+
+    // ✅ SIMPLE QUERY - Try email first, then ID
+    const tickets = await ticketsCollection
+      .find({
+        $or: [
+          { vendorEmail: vendorEmail }, // Direct email match
+          { vendorId: vendorIdString }, // String ID
+          { vendorId: vendor._id }, // ObjectId
+        ],
+      })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    console.log(`✅ Found ${tickets.length} tickets for ${vendorEmail}`);
+
+    if (tickets.length > 0) {
+      console.log("📦 Sample ticket:", {
+        _id: tickets[0]._id.toString(),
+        title: tickets[0].title,
+        vendorId: tickets[0].vendorId,
+        vendorIdType: typeof tickets[0].vendorId,
+        vendorEmail: tickets[0].vendorEmail,
+      });
+    }
+
+    // Prevent caching
+    res.set("Cache-Control", "no-store, no-cache, must-revalidate");
+    res.set("Pragma", "no-cache");
+    res.set("Expires", "0");
+
+    res.json({
+      success: true,
+      data: tickets.map(presentTicket),
+    });
+  } catch (error) {
+    console.error("❌ Error in /api/tickets/vendor/me:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      data: [],
+    });
+  }
+});
+
+// GET vendor's tickets
+app.get("/api/tickets/vendor/:vendorId", verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const tickets = await ticketsCollection
+      .find({ vendorId: req.params.vendorId })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({ success: true, data: tickets.map(presentTicket) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+// DEBUG: Vendor ticket diagnostics (protected)
+app.get("/api/debug/vendor-tickets", verifyToken, async (req, res) => {
+  try {
+    const vendorEmail = req.tokenEmail;
+    console.log("🔎 /api/debug/vendor-tickets - Vendor:", vendorEmail);
+
+    const vendor = await usersCollection.findOne({ email: vendorEmail });
+
+    const emailRegex = exactNameRegex(vendorEmail);
+
+    const orConditions = [{ vendorEmail: emailRegex }];
+    if (vendor) {
+      orConditions.unshift({ vendorId: vendor._id.toString() });
+      orConditions.unshift({ vendorId: vendor._id });
+    }
+
+    const query = { $or: orConditions };
+
+    const counts = {
+      idStr: vendor
+        ? await ticketsCollection.countDocuments({
+            vendorId: vendor._id.toString(),
+          })
+        : 0,
+      idObj: vendor
+        ? await ticketsCollection.countDocuments({ vendorId: vendor._id })
+        : 0,
+      email: await ticketsCollection.countDocuments({
+        vendorEmail: emailRegex,
+      }),
+    };
+
+    const samples = await ticketsCollection.find(query).limit(5).toArray();
+
+    console.log(
+      "🔎 /api/debug/vendor-tickets - counts:",
+      counts,
+      "samples:",
+      samples.length
+    );
+
+    return res.json({ success: true, counts, samples });
+  } catch (err) {
+    console.error("🔎 /api/debug/vendor-tickets - error:", err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Vendor ticket fields of a validated POST body (also a schedule's template,
+// see SCHEDULES) with the route, seat layout and pricing rules normalized.
+// Returns { fields } or { error }.
+async function normalizeTicketFields(body) {
+  const fields = pickFields(body, VENDOR_TICKET_FIELDS);
+
+  // Multi-stop route: endpoints and full fare come from the stops
+  if (body.route) {
+    const { route, error } = normalizeRoute(body.route);
+    if (error) return { error };
+    Object.assign(fields, routeTicketFields(route));
+  }
+
+  // With a seat layout, capacity is the number of bookable seats
+  if (body.seatLayout) {
+    const { layout, seatCount, error } = normalizeSeatLayout(body.seatLayout);
+    if (error) return { error };
+    fields.seatLayout = layout;
+    fields.ticketQuantity = seatCount;
+  }
+
+  if (body.pricingRules) {
+    const { rules, error } = normalizePricingRules(body.pricingRules);
+    if (error) return { error };
+    fields.pricingRules = rules;
+  }
+
+  // Sales are reported in BASE_CURRENCY, so the currency needs a rate
+  fields.currency = body.currency || BASE_CURRENCY;
+  if (!(await getExchangeRates()).has(fields.currency)) {
+    return { error: `No exchange rate is set for ${fields.currency}` };
+  }
+
+  return { fields };
+}
+
+// POST create ticket (vendor only)
+app.post(
+  "/api/tickets",
+  verifyToken,
+  verifyVendor,
+  validateBody(ticketSchema),
+
+  async (req, res) => {
+    try {
+      // Vendor resolved (and fraud-checked) by verifyVendor
+      const vendor = req.user;
+
+      const { fields, error } = await normalizeTicketFields(req.body);
+      if (error) return sendBadRequest(res, error);
+
+      const ticketData = {
+        ...fields,
+        vendorId: vendor._id.toString(),
+        vendorName: vendor.displayName || vendor.name || "Vendor",
+        vendorEmail: vendor.email,
+        status: "pending",
+        isAdvertised: false,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await ticketsCollection.insertOne(ticketData);
+      const rawTicket = await ticketsCollection.findOne({
+        _id: result.insertedId,
+      });
+      // Convert _id to string for consistent client handling
+      const newTicket = { ...rawTicket, _id: rawTicket._id.toString() };
+
+      console.log(
+        "/api/tickets - Ticket created by:",
+        vendor.email,
+        "vendorId:",
+        vendor._id.toString(),
+        "insertedId:",
+        result.insertedId
+      );
+
+      // Diagnostic checks after insert
+      const foundByVendorId = await ticketsCollection
+        .find({ vendorId: vendor._id.toString() })
+        .toArray();
+      const foundByVendorEmail = await ticketsCollection
+        .find({ vendorEmail: vendor.email })
+        .toArray();
+      console.log(
+        "/api/tickets - post-insert diagnostic: byVendorIdCount:",
+        foundByVendorId.length,
+        "byVendorEmailCount:",
+        foundByVendorEmail.length,
+        "newTicketStored:",
+        rawTicket
+      );
+
+      // Prevent caching responses for newly created resources
+      res.set(
+        "Cache-Control",
+        "no-store, no-cache, must-revalidate, proxy-revalidate"
+      );
+      res.set("Pragma", "no-cache");
+      res.set("Expires", "0");
+
+      res.status(201).json({
+        success: true,
+        message: "Ticket added successfully. Waiting for admin approval.",
+        data: newTicket,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// PUT update ticket
+app.put(
+  "/api/tickets/:id",
+  verifyToken,
+  verifyVendor,
+  verifyTicketOwner,
+  validateBody(ticketUpdateSchema, { partial: true }),
+
+  async (req, res) => {
+    try {
+      const allowedFields =
+        req.user.role === "admin"
+          ? [...VENDOR_TICKET_FIELDS, ...ADMIN_TICKET_FIELDS]
+          : VENDOR_TICKET_FIELDS;
+
+      const updateData = {
+        ...pickFields(req.body, allowedFields),
+        updatedAt: new Date(),
+      };
+
+      // Seats already held or sold can't be taken away by lowering capacity
+      const committedSeats =
+        ticketCapacity(req.ticket) - availableSeats(req.ticket);
+
+      if (req.body.route !== undefined) {
+        if (committedSeats > 0) {
+          return res.status(400).json({
+            success: false,
+            message: "Route can't be changed once seats are booked",
+          });
+        }
+        const { route, error } = normalizeRoute(req.body.route);
+        if (error) {
+          return res.status(400).json({ success: false, message: error });
+        }
+        Object.assign(updateData, routeTicketFields(route));
+      } else if (req.ticket.route) {
+        // from/to/price of a route ticket follow its stops and leg prices
+        delete updateData.from;
+        delete updateData.to;
+        delete updateData.price;
+      }
+
+      if (req.body.seatLayout !== undefined) {
+        if (committedSeats > 0) {
+          return res.status(400).json({
+            success: false,
+            message: "Seat layout can't be changed once seats are booked",
+          });
+        }
+        const { layout, seatCount, error } = normalizeSeatLayout(
+          req.body.seatLayout
+        );
+        if (error) {
+          return res.status(400).json({ success: false, message: error });
+        }
+        updateData.seatLayout = layout;
+        updateData.ticketQuantity = seatCount;
+      } else if (
+        req.ticket.seatLayout &&
+        updateData.ticketQuantity !== undefined
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Capacity of a seat-map ticket is set by its seat layout",
+        });
+      }
+
+      // Takes effect for new bookings only; existing ones keep their price
+      if (req.body.pricingRules !== undefined) {
+        const { rules, error } = normalizePricingRules(req.body.pricingRules);
+        if (error) return sendBadRequest(res, error);
+        updateData.pricingRules = rules;
+      }
+
+      // Existing bookings keep the currency they were priced in
+      if (
+        updateData.currency !== undefined &&
+        !(await getExchangeRates()).has(updateData.currency)
+      ) {
+        return sendBadRequest(
+          res,
+          `No exchange rate is set for ${updateData.currency}`
+        );
+      }
+
+      if (
+        updateData.ticketQuantity !== undefined &&
+        updateData.ticketQuantity < committedSeats
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `ticketQuantity cannot be lower than the ${committedSeats} seat(s) already booked`,
+        });
+      }
+
+      const updatedTicket = await ticketsCollection.findOneAndUpdate(
+        { _id: req.ticket._id },
+        { $set: updateData },
+        { returnDocument: "after" }
+      );
+
+      if (!updatedTicket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+
+      if (updateData.ticketQuantity !== undefined) {
+        publishSeatAvailability(updatedTicket._id);
+        await offerWaitlistedSeats(updatedTicket._id);
+      }
+
+      // Moderation through the generic edit route is audited like the admin routes
+      const target = {
+        type: "ticket",
+        id: req.ticket._id,
+        label: req.ticket.title,
+      };
+      if (
+        updateData.status !== undefined &&
+        updateData.status !== req.ticket.status
+      ) {
+        await recordAudit(req, {
+          action: "ticket.status.update",
+          target,
+          before: { status: req.ticket.status },
+          after: { status: updateData.status },
+          meta: { vendorEmail: req.ticket.vendorEmail },
+        });
+        await notifyTicketStatus(updatedTicket);
+      }
+      if (
+        updateData.isAdvertised !== undefined &&
+        updateData.isAdvertised !== Boolean(req.ticket.isAdvertised)
+      ) {
+        await recordAudit(req, {
+          action: "ticket.advertise.update",
+          target,
+          before: { isAdvertised: Boolean(req.ticket.isAdvertised) },
+          after: { isAdvertised: updateData.isAdvertised },
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Ticket updated successfully",
+        data: updatedTicket,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// DELETE ticket
+app.delete(
+  "/api/tickets/:id",
+  verifyToken,
+  verifyVendor,
+  verifyTicketOwner,
+
+  async (req, res) => {
+    try {
+      const result = await ticketsCollection.deleteOne({
+        _id: req.ticket._id,
+      });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found",
+        });
+      }
+
+      // A generated ticket's date is skipped so its schedule doesn't recreate it
+      if (req.ticket.scheduleId) {
+        await schedulesCollection.updateOne(
+          { _id: new ObjectId(req.ticket.scheduleId) },
+          {
+            $set: {
+              [`exceptions.${req.ticket.scheduleDate}`]: {
+                skip: true,
+                updatedAt: new Date(),
+              },
+            },
+          }
+        );
+      }
+
+      res.json({
+        success: true,
+        message: "Ticket deleted successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Role Request handling
+app.post(
+  "/api/role-requests",
+  verifyToken,
+  validateBody(roleRequestSchema),
+  async (req, res) => {
+    try {
+      const { requestedRole } = req.body;
+
+      // Get current user
+      const user = await usersCollection.findOne({ email: req.tokenEmail });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Check if user already has this role or higher
+      if (user.role === requestedRole) {
+        return res.status(400).json({
+          success: false,
+          message: `You are already a ${requestedRole}`,
+        });
+      }
+
+      if (user.role === "admin") {
+        return res.status(400).json({
+          success: false,
+          message: "You already have admin privileges",
+        });
+      }
+
+      // Check for existing pending request
+      const existingRequest = await roleRequestsCollection.findOne({
+        userEmail: req.tokenEmail,
+        status: "pending",
+      });
+
+      if (existingRequest) {
+        return res.status(400).json({
+          success: false,
+          message: "You already have a pending request",
+        });
+      }
+
+      // Create role request
+      const roleRequest = {
+        userId: user._id.toString(),
+        userEmail: user.email,
+        userName: user.displayName || "User",
+        userPhoto: user.photoURL || null,
+        currentRole: user.role,
+        requestedRole: requestedRole,
+        status: "pending", // pending, approved, rejected
+        requestDate: new Date().toISOString(),
+        processedBy: null,
+        processedDate: null,
+        rejectionReason: null,
+      };
+
+      const result = await roleRequestsCollection.insertOne(roleRequest);
+      const newRequest = await roleRequestsCollection.findOne({
+        _id: result.insertedId,
+      });
+
+      console.log("✅ Role request created:", newRequest);
+
+      res.status(201).json({
+        success: true,
+        message: `${requestedRole} request submitted successfully`,
+        data: newRequest,
+      });
+    } catch (error) {
+      console.error("Error creating role request:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET: Get user's own role requests
+app.get("/api/role-requests/my-requests", verifyToken, async (req, res) => {
+  try {
+    const requests = await roleRequestsCollection
+      .find({ userEmail: req.tokenEmail })
+      .sort({ requestDate: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      data: requests,
+    });
+  } catch (error) {
+    console.error("Error fetching requests:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET: Get all pending role requests (Admin only)
+app.get("/api/admin/role-requests", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = {};
+    if (status && ["pending", "approved", "rejected"].includes(status)) {
+      query.status = status;
+    }
+
+    const requests = await roleRequestsCollection
+      .find(query)
+      .sort({ requestDate: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      data: requests,
+    });
+  } catch (error) {
+    console.error("Error fetching role requests:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+//  
+// FIXED: PUT /api/admin/role-requests/:requestId
+// Replace this in your index.js
+//  
+
+app.put(
+  "/api/admin/role-requests/:requestId",
+  verifyToken,
+  verifyAdmin,
+  validateBody(roleDecisionSchema),
+  async (req, res) => {
+    try {
+      const { action, rejectionReason } = req.body; // "approve" or "reject"
+
+      console.log(
+        "🔍 Processing request:",
+        req.params.requestId,
+        "Action:",
+        action
+      );
+
+      // Get the request
+      const request = await roleRequestsCollection.findOne({
+        _id: new ObjectId(req.params.requestId),
+      });
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: "Request not found",
+        });
+      }
+
+      if (request.status !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: `Request already ${request.status}`,
+        });
+      }
+
+      console.log(
+        "✅ Request found:",
+        request.userEmail,
+        "→",
+        request.requestedRole
+      );
+
+      // If approving, update user's role
+      let userToUpdate = null;
+      if (action === "approve") {
+        // ✅ FIX: Use email to find user, not _id
+        userToUpdate = await usersCollection.findOne({
+          email: request.userEmail,
+        });
+
+        console.log("🔍 Looking for user:", request.userEmail);
+
+        if (!userToUpdate) {
+          console.log("❌ User not found in database:", request.userEmail);
+          return res.status(404).json({
+            success: false,
+            message: `User not found: ${request.userEmail}. They may need to log in again.`,
+          });
+        }
+
+        console.log(
+          "✅ User found:",
+          userToUpdate.email,
+          "Current role:",
+          userToUpdate.role
+        );
+
+        // Update the user's role
+        const updateResult = await usersCollection.findOneAndUpdate(
+          { email: request.userEmail }, // ✅ Use email, not _id
+          {
+            $set: {
+              role: request.requestedRole,
+              updatedAt: new Date().toISOString(),
+            },
+          },
+          { returnDocument: "after" }
+        );
+
+        if (!updateResult) {
+          console.log("❌ Failed to update user");
+          return res.status(500).json({
+            success: false,
+            message: "Failed to update user role",
+          });
+        }
+
+        console.log(
+          `✅ User role updated: ${request.userEmail} → ${request.requestedRole}`
+        );
+      }
+
+      // Update request status
+      const updatedRequest = await roleRequestsCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.requestId) },
+        {
+          $set: {
+            status: action === "approve" ? "approved" : "rejected",
+            processedBy: req.user.email,
+            processedDate: new Date().toISOString(),
+            rejectionReason: action === "reject" ? rejectionReason : null,
+          },
+        },
+        { returnDocument: "after" }
+      );
+
+      console.log("✅ Request updated to:", updatedRequest.status);
+
+      await recordAudit(req, {
+        action: `roleRequest.${action}`,
+        target: { type: "user", id: request.userId, label: request.userEmail },
+        before: { requestStatus: "pending", role: request.currentRole },
+        after: {
+          requestStatus: updatedRequest.status,
+          role: userToUpdate ? request.requestedRole : request.currentRole,
+          ...(action === "reject" && { rejectionReason }),
+        },
+        meta: {
+          requestId: request._id.toString(),
+          requestedRole: request.requestedRole,
+        },
+      });
+
+      await notify(
+        `roleRequest.${updatedRequest.status}`,
+        request.userEmail,
+        { request: updatedRequest, reason: rejectionReason }
+      );
+
+      res.json({
+        success: true,
+        message: `Request ${action}d successfully`,
+        data: updatedRequest,
+      });
+    } catch (error) {
+      console.error("❌ Error processing role request:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// DELETE: Cancel own pending request
+app.delete("/api/role-requests/:requestId", verifyToken, async (req, res) => {
+  try {
+    const request = await roleRequestsCollection.findOne({
+      _id: new ObjectId(req.params.requestId),
+      userEmail: req.tokenEmail,
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Request not found",
+      });
+    }
+
+    if (request.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: "Can only cancel pending requests",
+      });
+    }
+
+    await roleRequestsCollection.deleteOne({
+      _id: new ObjectId(req.params.requestId),
+    });
+
+    res.json({
+      success: true,
+      message: "Request cancelled successfully",
+    });
+  } catch (error) {
+    console.error("Error cancelling request:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+//  
+// PROMO CODES
+// Codes created by admins (any ticket) or vendors (their own tickets only)
+// take a percentage or fixed amount off a booking's subtotal. A redemption
+// is reserved when the booking is created, confirmed when it's paid and
+// released if the booking is rejected or cancelled before payment.
+//  
+const normalizePromoCode = (code) => String(code || "").trim().toUpperCase();
+
+// Cross-field checks the schema can't express. Returns an error message or null.
+function checkPromoFields(fields, existing = {}) {
+  const merged = { ...existing, ...fields };
+  if (merged.discountType === "percent" && merged.discountValue > 100) {
+    return "A percentage discount can't exceed 100";
+  }
+  if (merged.startsAt && merged.endsAt && merged.startsAt >= merged.endsAt) {
+    return "endsAt must be after startsAt";
+  }
+  if (fields.routes) {
+    const invalid = fields.routes.some(
+      (route) =>
+        typeof route.from !== "string" ||
+        typeof route.to !== "string" ||
+        !route.from.trim() ||
+        !route.to.trim()
+    );
+    if (invalid) return "routes must be a list of { from, to } stop names";
+  }
+  return null;
+}
+
+// A vendor's code may only be scoped to tickets they own. Returns an error
+// message or null.
+async function checkPromoTickets(promo) {
+  if (!promo.vendorId || !promo.ticketIds?.length) return null;
+  const ticketIds = [...new Set(promo.ticketIds)];
+  const owned = await ticketsCollection.countDocuments({
+    _id: { $in: ticketIds.map((id) => new ObjectId(id)) },
+    vendorId: promo.vendorId,
+  });
+  return owned === ticketIds.length
+    ? null
+    : "ticketIds must belong to the code's vendor";
+}
+
+// Stores route restrictions with the same keys route stops use
+const normalizePromoRoutes = (routes) =>
+  routes.map((route) => ({
+    from: route.from.trim(),
+    to: route.to.trim(),
+    fromKey: stopKey(route.from),
+    toKey: stopKey(route.to),
+  }));
+
+const canManagePromo = (promo, user) =>
+  user.role === "admin" || promo.createdBy?.email === user.email;
+
+// What a booking of `subtotal` on `ticket` (from/to: the booked stops)
+// saves with `promo`. Returns { discount } or { error }. Usage limits are
+// only pre-checked here; reservePromoRedemption enforces them atomically.
+// Fixed amounts are converted from the promo's currency to the ticket's.
+async function quotePromoCode(promo, { ticket, from, to, subtotal, userEmail }) {
+  const now = new Date();
+  const unavailable = { error: "This promo code is not valid" };
+
+  if (!promo || !promo.active) return unavailable;
+  if (promo.startsAt && now < promo.startsAt) {
+    return { error: "This promo code is not active yet" };
+  }
+  if (promo.endsAt && now > promo.endsAt) {
+    return { error: "This promo code has expired" };
+  }
+  if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
+    return { error: "This promo code has been fully redeemed" };
+  }
+
+  const currency = priceCurrency(ticket);
+  const rates = await getExchangeRates();
+  const promoCurrency = promo.currency || BASE_CURRENCY;
+  // 0 for unset amounts; null when there's no rate to convert with
+  const inTicketCurrency = (amount) =>
+    amount ? convertAmount(amount, promoCurrency, currency, rates) : 0;
+  const minSpend = inTicketCurrency(promo.minSpend);
+  const maxDiscount = inTicketCurrency(promo.maxDiscount);
+  const fixedValue = inTicketCurrency(
+    promo.discountType === "fixed" ? promo.discountValue : 0
+  );
+  if ([minSpend, maxDiscount, fixedValue].includes(null)) {
+    return { error: `This promo code can't be used with ${currency} prices` };
+  }
+
+  if (minSpend && subtotal < minSpend) {
+    return {
+      error: `This promo code needs a minimum spend of ${formatMoney(minSpend, currency)}`,
+    };
+  }
+
+  const ticketId = ticket._id.toString();
+  if (promo.vendorId && String(ticket.vendorId) !== promo.vendorId) {
+    return { error: "This promo code doesn't apply to this vendor" };
+  }
+  if (promo.ticketIds?.length && !promo.ticketIds.includes(ticketId)) {
+    return { error: "This promo code doesn't apply to this ticket" };
+  }
+  if (
+    promo.transportTypes?.length &&
+    !promo.transportTypes.some(
+      (type) => type.toLowerCase() === String(ticket.transportType).toLowerCase()
+    )
+  ) {
+    return { error: "This promo code doesn't apply to this transport type" };
+  }
+  if (
+    promo.routes?.length &&
+    !promo.routes.some(
+      (route) => route.fromKey === stopKey(from) && route.toKey === stopKey(to)
+    )
+  ) {
+    return { error: "This promo code doesn't apply to this route" };
+  }
+
+  if (promo.perUserLimit) {
+    const used = await promoRedemptionsCollection.countDocuments({
+      promoCodeId: promo._id.toString(),
+      userEmail,
+      status: { $in: ["reserved", "redeemed"] },
+    });
+    if (used >= promo.perUserLimit) {
+      return { error: "You have already used this promo code" };
+    }
+  }
+
+  let discount =
+    promo.discountType === "percent"
+      ? (subtotal * promo.discountValue) / 100
+      : fixedValue;
+  if (maxDiscount) discount = Math.min(discount, maxDiscount);
+  discount = roundMoney(Math.min(discount, subtotal), currency);
+
+  return { discount };
+}
+
+// Claims one use of `promo` for a booking: a guarded $inc for the global
+// limit, then a redemption in a free per-user slot (the unique index on
+// promoCodeId + userEmail + slot makes the per-user limit atomic).
+// Returns { redemption } or { error }.
+async function reservePromoRedemption(promo, { bookingId, userEmail, discount }) {
+  const promoCodeId = promo._id.toString();
+
+  const claimed = await promoCodesCollection.updateOne(
+    {
+      _id: promo._id,
+      active: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 }, $set: { updatedAt: new Date() } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return { error: "This promo code has been fully redeemed" };
+  }
+
+  const slots = promo.perUserLimit
+    ? Array.from({ length: promo.perUserLimit }, (_, i) => i + 1)
+    : [bookingId.toString()];
+
+  for (const slot of slots) {
+    const redemption = {
+      promoCodeId,
+      code: promo.code,
+      bookingId: bookingId.toString(),
+      userEmail,
+      slot,
+      discount,
+      status: "reserved",
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    try {
+      await promoRedemptionsCollection.insertOne(redemption);
+      return { redemption };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  // Every slot is taken: give the global use back
+  await promoCodesCollection.updateOne(
+    { _id: promo._id },
+    { $inc: { usedCount: -1 }, $set: { updatedAt: new Date() } }
+  );
+  return { error: "You have already used this promo code" };
+}
+
+async function confirmPromoRedemption(booking) {
+  if (!booking.promo) return;
+  await promoRedemptionsCollection.updateOne(
+    { bookingId: booking._id.toString(), status: "reserved" },
+    { $set: { status: "redeemed", redeemedAt: new Date(), updatedAt: new Date() } }
+  );
+}
+
+// Gives an unpaid booking's use back. Redeemed (paid) uses stay spent.
+async function releasePromoRedemption(booking, reason) {
+  if (!booking.promo) return;
+  const bookingId = booking._id.toString();
+
+  const released = await promoRedemptionsCollection.findOneAndUpdate(
+    { bookingId, status: "reserved" },
+    {
+      $set: {
+        status: "released",
+        // Frees the per-user slot
+        slot: `released:${bookingId}`,
+        releasedReason: reason,
+        releasedAt: new Date(),
+        updatedAt: new Date(),
+      },
+    }
+  );
+  if (!released) return;
+
+  await promoCodesCollection.updateOne(
+    { _id: new ObjectId(released.promoCodeId) },
+    { $inc: { usedCount: -1 }, $set: { updatedAt: new Date() } }
+  );
+}
+
+// Subtotal for booking `quantity` seats (or the chosen seat-map seats) on
+// a ticket or route segment at `pricing` (see DYNAMIC PRICING), before any
+// discount
+function bookingSubtotal(ticket, { segment, seatNumbers, quantity, pricing }) {
+  // Seat classes may price seats differently from the ticket (direct
+  // tickets only; route segments are priced by their legs)
+  if (seatNumbers && !segment) {
+    const seatList = buildSeatList(ticket);
+    return roundMoney(
+      seatNumbers.reduce((sum, seatNumber) => {
+        const seat = seatList.find((s) => s.seatNumber === seatNumber);
+        return sum + applyPricing(seat ? seat.price : ticket.price, pricing);
+      }, 0),
+      pricing.currency
+    );
+  }
+  const basePrice = segment ? segment.price : ticket.price;
+  return roundMoney(applyPricing(basePrice, pricing) * quantity, pricing.currency);
+}
+
+// POST create a promo code. Vendors' codes are limited to their own tickets.
+app.post(
+  "/api/promo-codes",
+  verifyToken,
+  verifyVendor,
+  validateBody(promoCodeSchema),
+  async (req, res) => {
+    try {
+      const fieldError = checkPromoFields(req.body);
+      if (fieldError) return sendBadRequest(res, fieldError);
+
+      const promo = {
+        ...req.body,
+        code: normalizePromoCode(req.body.code),
+        vendorId:
+          req.user.role === "admin"
+            ? req.body.vendorId || null
+            : req.user._id.toString(),
+        routes: normalizePromoRoutes(req.body.routes || []),
+        usageLimit: req.body.usageLimit || null,
+        perUserLimit: req.body.perUserLimit || null,
+        currency: req.body.currency || BASE_CURRENCY,
+        active: req.body.active ?? true,
+        usedCount: 0,
+        createdBy: { email: req.user.email, role: req.user.role },
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const ownershipError = await checkPromoTickets(promo);
+      if (ownershipError) return sendBadRequest(res, ownershipError);
+
+      try {
+        await promoCodesCollection.insertOne(promo);
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: `Promo code ${promo.code} already exists`,
+          });
+        }
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Promo code created",
+        data: promo,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// GET promo codes: a vendor's own, or all of them for admins
+app.get("/api/promo-codes", verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const filter =
+      req.user.role === "admin" ? {} : { "createdBy.email": req.user.email };
+    const promos = await promoCodesCollection
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({ success: true, data: promos });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// PUT update a promo code (e.g. deactivate it or extend its window)
+app.put(
+  "/api/promo-codes/:id",
+  verifyToken,
+  verifyVendor,
+  validateBody(promoCodeUpdateSchema, { partial: true }),
+  async (req, res) => {
+    try {
+      const promo = await promoCodesCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!promo || !canManagePromo(promo, req.user)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Promo code not found" });
+      }
+
+      const fieldError = checkPromoFields(req.body, promo);
+      if (fieldError) return sendBadRequest(res, fieldError);
+
+      const updateData = { ...req.body, updatedAt: new Date() };
+      if (req.user.role !== "admin") delete updateData.vendorId;
+      if (updateData.routes) {
+        updateData.routes = normalizePromoRoutes(updateData.routes);
+      }
+
+      // New ticketIds, or a new vendor for the old ones, are checked again
+      const ownershipError = await checkPromoTickets({
+        ...promo,
+        ...updateData,
+      });
+      if (ownershipError) return sendBadRequest(res, ownershipError);
+
+      const updated = await promoCodesCollection.findOneAndUpdate(
+        { _id: promo._id },
+        { $set: updateData },
+        { returnDocument: "after" }
+      );
+
+      res.json({
+        success: true,
+        message: "Promo code updated",
+        data: updated,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// POST check a code against a prospective booking (same body as
+// POST /api/bookings) and quote the discount. Nothing is reserved.
+app.post(
+  "/api/promo-codes/validate",
+  verifyToken,
+  validateBody(promoValidateSchema),
+  async (req, res) => {
+    try {
+      const { ticketId, bookingQuantity = 1, seats, fromStop, toStop } =
+        req.body;
+
+      const ticket = await ticketsCollection.findOne({
+        _id: new ObjectId(ticketId),
+        status: "approved",
+      });
+      if (!ticket) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Ticket not found" });
+      }
+
+      let segment = null;
+      if (ticket.route) {
+        const legs = resolveSegment(ticket, fromStop, toStop);
+        if (!legs) {
+          return sendBadRequest(res, "This ticket doesn't serve that segment");
+        }
+        segment = segmentDetails(ticket, legs);
+      }
+
+      const seatNumbers =
+        ticket.seatLayout && seats?.length
+          ? [...new Set(seats.map((seat) => seat.toUpperCase()))]
+          : null;
+      const subtotal = bookingSubtotal(ticket, {
+        segment,
+        seatNumbers,
+        quantity: seatNumbers ? seatNumbers.length : bookingQuantity,
+        pricing: ticketPricing(ticket),
+      });
+
+      const code = normalizePromoCode(req.body.promoCode);
+      const promo = await promoCodesCollection.findOne({ code });
+      const { discount, error } = await quotePromoCode(promo, {
+        ticket,
+        from: segment ? segment.fromStop : ticket.from,
+        to: segment ? segment.toStop : ticket.to,
+        subtotal,
+        userEmail: req.tokenEmail,
+      });
+      if (error) return sendBadRequest(res, error);
+
+      res.json({
+        success: true,
+        data: {
+          code,
+          description: promo.description || null,
+          subtotal,
+          discount,
+          totalPrice: roundMoney(subtotal - discount, priceCurrency(ticket)),
+          currency: priceCurrency(ticket),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+//  
+// BOOKING ROUTES (PROTECTED)
+//  
+
+// POST create booking
+// FIXED: POST create booking - Update this in your index.js
+// POST a new booking 
+// POST a new booking - FULLY FIXED & ROBUST
+app.post(
+  "/api/bookings",
+  verifyToken,
+  // Any role may book; flagged accounts can't
+  requireRole(),
+  validateBody(bookingSchema),
+  async (req, res) => {
+    try {
+      const {
+        ticketId,
+        bookingQuantity = 1,
+        seats,
+        fromStop,
+        toStop,
+        promoCode,
+        ...otherData
+      } = req.body;
+      const buyerEmail = req.tokenEmail; // From Firebase JWT
+
+      // Fetch ticket with approved status
+      const ticket = await ticketsCollection.findOne({
+        _id: new ObjectId(ticketId),
+        status: "approved", // Change to "accepted" if you prefer that spelling
+      });
+
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket not found or not available for booking.",
+        });
+      }
+
+      // Route tickets can be booked for any sub-segment (whole route by default)
+      let legs = null;
+      let segment = null;
+      if (ticket.route) {
+        legs = resolveSegment(ticket, fromStop, toStop);
+        if (!legs) {
+          return res.status(400).json({
+            success: false,
+            message: `This ticket doesn't travel from ${fromStop || ticket.from} to ${toStop || ticket.to}`,
+          });
+        }
+        segment = segmentDetails(ticket, legs);
+      }
+
+      // Seat-map tickets may book specific seats; the seat count is the quantity
+      let seatNumbers = null;
+      let autoAssigned = false;
+      if (ticket.seatLayout && seats && seats.length > 0) {
+        seatNumbers = [...new Set(seats.map((seat) => seat.toUpperCase()))];
+      }
+
+      // Price is fixed now, with the rules in effect at booking time
+      const pricing = ticketPricing(ticket);
+      const basePrice = segment ? segment.price : Number(ticket.price);
+      const ticketPrice = applyPricing(basePrice, pricing);
+      const requestedQuantity = seatNumbers
+        ? seatNumbers.length
+        : bookingQuantity;
+
+      if (isNaN(ticketPrice) || ticketPrice < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid ticket price",
+        });
+      }
+
+      if (ticket.seatLayout) {
+        const seatList = buildSeatList(ticket);
+
+        if (seatNumbers) {
+          const bookable = new Set(
+            seatList.filter((seat) => !seat.blocked).map((seat) => seat.seatNumber)
+          );
+          const invalidSeats = seatNumbers.filter((seat) => !bookable.has(seat));
+          if (invalidSeats.length > 0) {
+            return res.status(400).json({
+              success: false,
+              message: `Invalid or blocked seat(s): ${invalidSeats.join(", ")}`,
+            });
+          }
+        } else {
+          // No seats chosen: assign the first free ones (claimed below)
+          const freeSeats = (await buildSeatMap(ticket, legs))
+            .filter((seat) => seat.status === "free")
+            .map((seat) => seat.seatNumber);
+          if (freeSeats.length < requestedQuantity) {
+            return res.status(400).json({
+              success: false,
+              message: `Only ${freeSeats.length} ticket(s) available. Cannot book ${requestedQuantity}.`,
+              // POST /api/tickets/:id/waitlist
+              canJoinWaitlist: true,
+            });
+          }
+          seatNumbers = freeSeats.slice(0, requestedQuantity);
+          autoAssigned = true;
+        }
+      }
+
+      let subtotal = bookingSubtotal(ticket, {
+        segment,
+        seatNumbers,
+        quantity: requestedQuantity,
+        pricing,
+      });
+      const bookingFrom = segment ? segment.fromStop : ticket.from;
+      const bookingTo = segment ? segment.toStop : ticket.to;
+
+      // Check the promo code before taking seats; its use is reserved below
+      let promo = null;
+      let discount = 0;
+      if (promoCode) {
+        promo = await promoCodesCollection.findOne({
+          code: normalizePromoCode(promoCode),
+        });
+        const quote = await quotePromoCode(promo, {
+          ticket,
+          from: bookingFrom,
+          to: bookingTo,
+          subtotal,
+          userEmail: buyerEmail,
+        });
+        if (quote.error) return sendBadRequest(res, quote.error);
+        discount = quote.discount;
+      }
+
+      // Atomically hold the seats; fails instead of overselling under concurrency
+      // A waitlist offer already holds seats under a reserved booking id
+      const offer = await claimWaitlistOffer(
+        ticket._id,
+        buyerEmail,
+        requestedQuantity,
+        legs
+      );
+      if (offer.error) {
+        return res.status(409).json({ success: false, message: offer.error });
+      }
+
+      const bookingId = offer.bookingId || new ObjectId();
+      const hold =
+        offer.hold ||
+        (await placeSeatHold(
+          ticket._id,
+          bookingId,
+          requestedQuantity,
+          buyerEmail,
+          legs
+        ));
+
+      if (!hold) {
+        const latest = await ticketsCollection.findOne({ _id: ticket._id });
+        const available = latest ? availableSeats(latest, legs) : 0;
+        return res.status(400).json({
+          success: false,
+          message: `Only ${available} ticket(s) available. Cannot book ${requestedQuantity}.`,
+          // POST /api/tickets/:id/waitlist
+          canJoinWaitlist: true,
+        });
+      }
+
+      // Enough to release the hold if a later step fails
+      const heldBooking = {
+        _id: bookingId,
+        ticketId: ticket._id.toString(),
+        holdExpiresAt: hold.expiresAt,
+      };
+      // A failed step gives the seats back, except a waitlist offer's: those
+      // stay held for the traveler until the offer expires
+      const releaseHeld = (reason) =>
+        offer.entry
+          ? returnWaitlistOffer(offer.entry)
+          : releaseSeatHold(heldBooking, reason);
+
+      if (autoAssigned) {
+        const claimed = await claimFreeSeats(
+          ticket,
+          bookingId,
+          seatNumbers,
+          legs
+        );
+        if (claimed.conflicts) {
+          await releaseHeld("seat_conflict");
+          return res.status(409).json({
+            success: false,
+            message: `Not enough free seats left to book ${requestedQuantity}`,
+          });
+        }
+
+        // Other seats may be in another class: price what was claimed
+        if (claimed.seatNumbers.some((seat, i) => seat !== seatNumbers[i])) {
+          seatNumbers = claimed.seatNumbers;
+          subtotal = bookingSubtotal(ticket, {
+            segment,
+            seatNumbers,
+            quantity: requestedQuantity,
+            pricing,
+          });
+          if (promo) {
+            const quote = await quotePromoCode(promo, {
+              ticket,
+              from: bookingFrom,
+              to: bookingTo,
+              subtotal,
+              userEmail: buyerEmail,
+            });
+            if (quote.error) {
+              await releaseHeld("promo_unavailable");
+              return sendBadRequest(res, quote.error);
+            }
+            discount = quote.discount;
+          }
+        }
+      } else if (seatNumbers) {
+        const { conflicts } = await claimSeats(
+          ticket._id,
+          bookingId,
+          seatNumbers,
+          "held",
+          legs
+        );
+        if (conflicts.length > 0) {
+          await releaseHeld("seat_conflict");
+          return res.status(409).json({
+            success: false,
+            message: `Seat(s) ${conflicts.join(", ")} are no longer available`,
+            conflicts,
+          });
+        }
+      }
+
+      if (promo) {
+        const reserved = await reservePromoRedemption(promo, {
+          bookingId,
+          userEmail: buyerEmail,
+          discount,
+        });
+        if (reserved.error) {
+          await releaseHeld("promo_unavailable");
+          return res
+            .status(409)
+            .json({ success: false, message: reserved.error });
+        }
+      }
+
+      const totalPrice = roundMoney(subtotal - discount, pricing.currency);
+      // Rate at booking time, used to report the booking in BASE_CURRENCY
+      const exchangeRate =
+        (await getExchangeRates()).get(pricing.currency) ?? null;
+
+      // Build the new booking with guaranteed number types
+      const newBooking = {
+        ...pickFields(otherData, BOOKING_CLIENT_FIELDS),
+        _id: bookingId,
+
+        // Core booking info
+        ticketId: ticket._id.toString(),
+        ticketTitle: ticket.title,
+        from: bookingFrom,
+        to: bookingTo,
+        transportType: ticket.transportType,
+        ...(legs && { legs }),
+
+        // Pricing & Quantity - Safe numbers
+        price: ticketPrice,
+        ...(pricing.adjustments.length > 0 && {
+          pricing: {
+            basePrice,
+            multiplier: pricing.multiplier,
+            adjustments: pricing.adjustments,
+          },
+        }),
+        bookingQuantity: requestedQuantity,
+        subtotal,
+        ...(promo && {
+          promo: {
+            code: promo.code,
+            promoCodeId: promo._id.toString(),
+            discount,
+          },
+        }),
+        totalPrice: totalPrice,
+        currency: pricing.currency,
+        exchangeRate,
+        ...(seatNumbers && { seats: seatNumbers }),
+
+        // Vendor info
+        vendorId: ticket.vendorId,
+        vendorEmail: ticket.vendorEmail,
+        vendorName: ticket.vendorName || "Unknown Vendor",
+
+        // Buyer info
+        userEmail: buyerEmail,
+
+        // Travel details
+        departureDate: ticket.departureDate,
+        departureTime: segment ? segment.departureTime : ticket.departureTime,
+
+        // Status & timestamps
+        status: "pending",
+        statusHistory: [
+          {
+            from: null,
+            to: "pending",
+            actor: "buyer",
+            by: buyerEmail,
+            note: null,
+            at: new Date(),
+          },
+        ],
+        holdExpiresAt: hold.expiresAt,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      try {
+        await bookingCollection.insertOne(newBooking);
+      } catch (insertError) {
+        await releaseHeld("booking_failed");
+        await releasePromoRedemption(newBooking, "booking_failed");
+        throw insertError;
+      }
+      if (offer.entry) await completeWaitlistOffer(offer.entry);
+
+      await notify("booking.requested", newBooking.vendorEmail, {
+        booking: newBooking,
+      });
+      publishBookingEvent(newBooking, "booking.created");
+
+      // Success response
+      res.json({
+        success: true,
+        message: "Booking request sent successfully!",
+        bookingId,
+        data: newBooking,
+      });
+    } catch (error) {
+      console.error("❌ Error creating booking:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create booking",
+        error: error.message || "Unknown server error",
+      });
+    }
+  }
+);
+// FIXED: GET user's bookings - Update this in your index.js
+app.get("/api/bookings/user", verifyToken, async (req, res) => {
+  try {
+    // 1. Get the email directly from the verified token
+    const buyerEmail = req.tokenEmail;
+
+    console.log("🔍 Fetching bookings for buyer:", buyerEmail);
+
+    // 2. Query by userEmail (which we just added to the POST route)
+    // We also check for 'userId' as a fallback just in case old data exists
+    const bookings = await bookingCollection
+      .find({
+        $or: [
+          { userEmail: buyerEmail },
+          { customerEmail: buyerEmail }, // Some stripe setups use this field
+        ],
+      })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    console.log(`✅ Found ${bookings.length} bookings for user`);
+
+    res.json({
+      success: true,
+      data: bookings,
+    });
+  } catch (error) {
+    console.error("❌ Get user bookings error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+// GET bookings for the authenticated vendor (convenience endpoint)
+app.get("/api/bookings/vendor/me", verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const vendorEmail = req.tokenEmail;
+
+    // 1. Find all tickets that belong to you
+    const myTickets = await ticketsCollection
+      .find({ vendorEmail: vendorEmail })
+      .project({ _id: 1 })
+      .toArray();
+
+    // 2. Extract the IDs as strings and ObjectIds (for safety)
+    const myTicketIds = myTickets.map((t) => t._id.toString());
+
+    // 3. Find bookings that match your ticket IDs
+    // This works even if the booking document doesn't have 'vendorEmail'
+    const bookings = await bookingCollection
+      .find({
+        $or: [
+          { ticketId: { $in: myTicketIds } },
+          { vendorEmail: vendorEmail }, // Keep this for future-proofing
+        ],
+      })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({ success: true, data: bookings });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+// GET bookings for vendor's tickets
+app.get("/api/bookings/vendor/:vendorId", verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const vendorTickets = await ticketsCollection
+      .find({ vendorId: req.params.vendorId })
+      .project({ _id: 1 })
+      .toArray();
+
+    const ticketIds = vendorTickets.map((t) => t._id.toString());
+
+    const bookings = await bookingCollection
+      .find({ ticketId: { $in: ticketIds } })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({ success: true, data: bookings });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// PUT update booking status (validated against the booking state machine)
+app.put(
+  "/api/bookings/:id/status",
+  verifyToken,
+  requireRole(),
+  validateBody(bookingStatusSchema),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status, note } = req.body;
+
+      const booking = await bookingCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: "Booking not found",
+        });
+      }
+
+      const actors = await bookingActorsFor(booking, req.user);
+      if (actors.length === 0) {
+        return sendForbidden(res, "Forbidden: this booking is not yours");
+      }
+
+      const { status: httpStatus, ...result } = await transitionBooking(
+        booking,
+        status,
+        { actor: actors, by: req.user.email, note: note || null }
+      );
+
+      res.status(httpStatus).json(result);
+    } catch (error) {
+      console.error("Error updating booking:", error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+//  
+// VENDOR ANALYTICS
+// Revenue comes from transactions (payments minus refunds, by payment date);
+// sales, breakdowns and acceptance rates from bookings created in the range;
+// occupancy from each ticket's seat ledger. Periods are UTC, weeks start Monday.
+// Money is reported in BASE_CURRENCY (see CURRENCIES).
+//  
+const ANALYTICS_GRANULARITIES = {
+  day: { defaultPeriods: 30 },
+  week: { defaultPeriods: 12 },
+  month: { defaultPeriods: 12 },
+};
+const MAX_ANALYTICS_PERIODS = 400;
+
+// Bookings that count as sold (refunded/cancelled ones gave their seats back)
+const SOLD_BOOKING_STATUSES = ["paid", "completed"];
+
+// Start of the UTC period containing `date`, matching $dateTrunc
+function periodStart(date, unit) {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  if (unit === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  if (unit === "month") start.setUTCDate(1);
+  return start;
+}
+
+// Moves a period start `count` periods forward (or back, if negative)
+function shiftPeriod(date, unit, count) {
+  const shifted = new Date(date);
+  if (unit === "day") shifted.setUTCDate(shifted.getUTCDate() + count);
+  if (unit === "week") shifted.setUTCDate(shifted.getUTCDate() + 7 * count);
+  if (unit === "month") shifted.setUTCMonth(shifted.getUTCMonth() + count);
+  return shifted;
+}
+
+// Every period between from and to, so charts get zeros instead of gaps
+function analyticsPeriods(from, to, unit) {
+  const periods = [];
+  for (
+    let period = periodStart(from, unit);
+    period <= to && periods.length <= MAX_ANALYTICS_PERIODS;
+    period = shiftPeriod(period, unit, 1)
+  ) {
+    periods.push(period);
+  }
+  return periods;
+}
+
+// Resolves ?from&to&granularity with defaults. Returns { from, to, unit } or { error }.
+function analyticsWindow(query) {
+  const unit = query.granularity || "day";
+  if (!ANALYTICS_GRANULARITIES[unit]) {
+    return {
+      error: `granularity must be one of: ${Object.keys(ANALYTICS_GRANULARITIES).join(", ")}`,
+    };
+  }
+
+  const { range, error } = parseDateRange(query.from, query.to);
+  if (error) return { error };
+
+  const to = range.$lte || new Date();
+  const from =
+    range.$gte ||
+    shiftPeriod(
+      periodStart(to, unit),
+      unit,
+      1 - ANALYTICS_GRANULARITIES[unit].defaultPeriods
+    );
+
+  if (analyticsPeriods(from, to, unit).length > MAX_ANALYTICS_PERIODS) {
+    return { error: `Date range is too long for ${unit} granularity` };
+  }
+  return { from, to, unit };
+}
+
+// Rows grouped by a $dateTrunc _id, keyed by period start for lookups
+const periodMap = (rows) =>
+  new Map(rows.map((row) => [new Date(row._id).getTime(), row]));
+
+const rate = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+
+// Sold share of a ticket's seats. Route tickets sell seats per leg, so it
+// is seat-legs sold over capacity × legs.
+function ticketOccupancy(ticket) {
+  const capacity = ticketCapacity(ticket);
+  if (ticket.route) {
+    const legs = ticket.route.legPrices.length;
+    const seatLegsSold = (ticket.legSold || []).reduce((sum, n) => sum + n, 0);
+    return { capacity, sold: null, occupancy: rate(seatLegsSold, capacity * legs) };
+  }
+  const sold = ticket.soldQuantity || 0;
+  return { capacity, sold, occupancy: rate(sold, capacity) };
+}
+
+async function buildVendorAnalytics(vendor, { from, to, unit }) {
+  const { transactionBaseAmount, netBookingValue } = baseValueExpressions(
+    await getExchangeRates()
+  );
+  const tickets = await ticketsCollection
+    .find({
+      $or: [{ vendorEmail: vendor.email }, { vendorId: vendor._id.toString() }],
+    })
+    .project({
+      title: 1,
+      from: 1,
+      to: 1,
+      transportType: 1,
+      departureDate: 1,
+      status: 1,
+      ticketQuantity: 1,
+      heldQuantity: 1,
+      soldQuantity: 1,
+      route: 1,
+      legSold: 1,
+    })
+    .toArray();
+  const ticketIds = tickets.map((ticket) => ticket._id.toString());
+
+  // Same matching as /api/bookings/vendor/me
+  const vendorBookings = {
+    $or: [{ ticketId: { $in: ticketIds } }, { vendorEmail: vendor.email }],
+  };
+  const bookingIds = (
+    await bookingCollection.find(vendorBookings).project({ _id: 1 }).toArray()
+  ).map((booking) => booking._id.toString());
+
+  const truncate = (field) => ({
+    $dateTrunc: { date: field, unit, startOfWeek: "monday" },
+  });
+
+  const [revenueByPeriod, salesByPeriod, [bookingStats]] = await Promise.all([
+    transactionsCollection
+      .aggregate([
+        {
+          $match: {
+            bookingId: { $in: bookingIds },
+            status: { $in: ["completed", "refunded"] },
+            paymentDate: { $gte: from, $lte: to },
+          },
+        },
+        {
+          $group: {
+            _id: truncate("$paymentDate"),
+            gross: { $sum: { $max: [transactionBaseAmount, 0] } },
+            refunds: {
+              $sum: { $max: [{ $multiply: [transactionBaseAmount, -1] }, 0] },
+            },
+            payments: { $sum: { $cond: [{ $gt: ["$amount", 0] }, 1, 0] } },
+          },
+        },
+      ])
+      .toArray(),
+
+    bookingCollection
+      .aggregate([
+        {
+          $match: {
+            ...vendorBookings,
+            status: { $in: SOLD_BOOKING_STATUSES },
+            paymentDate: { $gte: from, $lte: to },
+          },
+        },
+        {
+          $group: {
+            _id: truncate("$paymentDate"),
+            ticketsSold: { $sum: "$bookingQuantity" },
+            bookings: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray(),
+
+    bookingCollection
+      .aggregate([
+        { $match: { ...vendorBookings, createdAt: { $gte: from, $lte: to } } },
+        {
+          $facet: {
+            byRoute: [
+              { $match: { status: { $in: SOLD_BOOKING_STATUSES } } },
+              {
+                $group: {
+                  _id: { from: "$from", to: "$to" },
+                  revenue: { $sum: netBookingValue },
+                  ticketsSold: { $sum: "$bookingQuantity" },
+                  bookings: { $sum: 1 },
+                },
+              },
+              { $sort: { revenue: -1 } },
+            ],
+            byTransportType: [
+              { $match: { status: { $in: SOLD_BOOKING_STATUSES } } },
+              {
+                $group: {
+                  _id: "$transportType",
+                  revenue: { $sum: netBookingValue },
+                  ticketsSold: { $sum: "$bookingQuantity" },
+                  bookings: { $sum: 1 },
+                },
+              },
+              { $sort: { revenue: -1 } },
+            ],
+            // A booking counts as accepted if it ever reached "accepted";
+            // older bookings without statusHistory go by their current status
+            decisions: [
+              {
+                $group: {
+                  _id: null,
+                  total: { $sum: 1 },
+                  pending: {
+                    $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] },
+                  },
+                  accepted: {
+                    $sum: {
+                      $cond: [
+                        {
+                          $or: [
+                            {
+                              $in: [
+                                "accepted",
+                                { $ifNull: ["$statusHistory.to", []] },
+                              ],
+                            },
+                            {
+                              $in: [
+                                "$status",
+                                ["accepted", ...SOLD_BOOKING_STATUSES],
+                              ],
+                            },
+                          ],
+                        },
+                        1,
+                        0,
+                      ],
+                    },
+                  },
+                  rejected: {
+                    $sum: { $cond: [{ $eq: ["$status", "rejected"] }, 1, 0] },
+                  },
+                },
+              },
+            ],
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+
+  const revenueMap = periodMap(revenueByPeriod);
+  const salesMap = periodMap(salesByPeriod);
+
+  const series = analyticsPeriods(from, to, unit).map((period) => {
+    const revenue = revenueMap.get(period.getTime()) || {};
+    const sales = salesMap.get(period.getTime()) || {};
+    const gross = revenue.gross || 0;
+    const refunds = revenue.refunds || 0;
+    return {
+      period: period.toISOString(),
+      gross,
+      refunds,
+      revenue: gross - refunds,
+      payments: revenue.payments || 0,
+      ticketsSold: sales.ticketsSold || 0,
+      bookings: sales.bookings || 0,
+    };
+  });
+
+  const decisions = bookingStats.decisions[0] || {
+    total: 0,
+    pending: 0,
+    accepted: 0,
+    rejected: 0,
+  };
+  const decided = decisions.accepted + decisions.rejected;
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString(), granularity: unit },
+    currency: BASE_CURRENCY,
+    totals: {
+      gross: series.reduce((sum, row) => sum + row.gross, 0),
+      refunds: series.reduce((sum, row) => sum + row.refunds, 0),
+      revenue: series.reduce((sum, row) => sum + row.revenue, 0),
+      ticketsSold: series.reduce((sum, row) => sum + row.ticketsSold, 0),
+    },
+    series,
+    byRoute: bookingStats.byRoute.map(({ _id, ...row }) => ({
+      from: _id.from,
+      to: _id.to,
+      ...row,
+    })),
+    byTransportType: bookingStats.byTransportType.map(({ _id, ...row }) => ({
+      transportType: _id || "unknown",
+      ...row,
+    })),
+    bookings: {
+      total: decisions.total,
+      pending: decisions.pending,
+      accepted: decisions.accepted,
+      rejected: decisions.rejected,
+      acceptanceRate: rate(decisions.accepted, decided),
+      rejectionRate: rate(decisions.rejected, decided),
+    },
+    occupancy: tickets
+      .map((ticket) => ({
+        ticketId: ticket._id.toString(),
+        title: ticket.title,
+        from: ticket.from,
+        to: ticket.to,
+        departureDate: ticket.departureDate,
+        status: ticket.status,
+        ...ticketOccupancy(ticket),
+        availableQuantity: availableSeats(ticket),
+      }))
+      .sort((a, b) => String(b.departureDate).localeCompare(String(a.departureDate))),
+  };
+}
+
+// GET the signed-in vendor's analytics.
+// Query: from, to (dates), granularity = day | week | month
+app.get("/api/vendor/analytics", verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const window = analyticsWindow(req.query);
+    if (window.error) return sendBadRequest(res, window.error);
+
+    const data = await buildVendorAnalytics(req.user, window);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("❌ Vendor analytics error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+//  
+// ADMIN ANALYTICS
+// Platform-wide totals over the same from/to/granularity window as vendor
+// analytics. The aggregations scan whole collections, so results are cached
+// in memory for ADMIN_ANALYTICS_CACHE_SECONDS (?refresh=true bypasses it).
+//  
+const ADMIN_ANALYTICS_CACHE_MS =
+  (Number(process.env.ADMIN_ANALYTICS_CACHE_SECONDS) || 60) * 1000;
+const ADMIN_ANALYTICS_CACHE_SIZE = 50;
+const ADMIN_ANALYTICS_TOP = 10;
+
+// cache key -> { data, cachedAt }
+const adminAnalyticsCache = new Map();
+
+function cachedAdminAnalytics(key) {
+  const entry = adminAnalyticsCache.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.cachedAt.getTime() > ADMIN_ANALYTICS_CACHE_MS) {
+    adminAnalyticsCache.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+function cacheAdminAnalytics(key, data) {
+  // Maps iterate in insertion order, so the first key is the oldest
+  if (adminAnalyticsCache.size >= ADMIN_ANALYTICS_CACHE_SIZE) {
+    adminAnalyticsCache.delete(adminAnalyticsCache.keys().next().value);
+  }
+  const entry = { data, cachedAt: new Date() };
+  adminAnalyticsCache.set(key, entry);
+  return entry;
+}
+
+// Users store created_at / processedDate as ISO strings
+const isoRange = (from, to) => ({
+  $gte: from.toISOString(),
+  $lte: to.toISOString(),
+});
+
+async function buildAdminAnalytics({ from, to, unit }) {
+  const { transactionBaseAmount, bookingBaseValue, netBookingValue } =
+    baseValueExpressions(await getExchangeRates());
+  const truncate = (field) => ({
+    $dateTrunc: { date: field, unit, startOfWeek: "monday" },
+  });
+  const soldInRange = {
+    status: { $in: SOLD_BOOKING_STATUSES },
+    paymentDate: { $gte: from, $lte: to },
+  };
+
+  const [
+    [transactionStats],
+    bookingValueByPeriod,
+    usersByPeriod,
+    vendorRequestsByPeriod,
+    vendorPromotionsByPeriod,
+    topRoutes,
+    topVendors,
+    paymentFailedBookings,
+    queues,
+  ] = await Promise.all([
+    transactionsCollection
+      .aggregate([
+        { $match: { paymentDate: { $gte: from, $lte: to } } },
+        {
+          $facet: {
+            byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+            byPeriod: [
+              { $match: { status: { $in: ["completed", "refunded"] } } },
+              {
+                $group: {
+                  _id: truncate("$paymentDate"),
+                  gross: { $sum: { $max: [transactionBaseAmount, 0] } },
+                  refunds: {
+                    $sum: {
+                      $max: [{ $multiply: [transactionBaseAmount, -1] }, 0],
+                    },
+                  },
+                },
+              },
+            ],
+          },
+        },
+      ])
+      .toArray(),
+
+    bookingCollection
+      .aggregate([
+        { $match: soldInRange },
+        {
+          $group: {
+            _id: truncate("$paymentDate"),
+            bookingValue: { $sum: bookingBaseValue("$totalPrice") },
+            ticketsSold: { $sum: "$bookingQuantity" },
+          },
+        },
+      ])
+      .toArray(),
+
+    usersCollection
+      .aggregate([
+        { $match: { created_at: isoRange(from, to) } },
+        {
+          $group: {
+            _id: truncate({ $toDate: "$created_at" }),
+            newUsers: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray(),
+
+    // Vendors are users promoted through an approved request...
+    roleRequestsCollection
+      .aggregate([
+        {
+          $match: {
+            status: "approved",
+            requestedRole: "vendor",
+            processedDate: isoRange(from, to),
+          },
+        },
+        {
+          $group: {
+            _id: truncate({ $toDate: "$processedDate" }),
+            newVendors: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray(),
+
+    // ...or directly by an admin (see AUDIT LOG)
+    auditLogCollection
+      .aggregate([
+        {
+          $match: {
+            action: "user.role.update",
+            "after.role": "vendor",
+            createdAt: { $gte: from, $lte: to },
+          },
+        },
+        { $group: { _id: truncate("$createdAt"), newVendors: { $sum: 1 } } },
+      ])
+      .toArray(),
+
+    bookingCollection
+      .aggregate([
+        { $match: soldInRange },
+        {
+          $group: {
+            _id: { from: "$from", to: "$to" },
+            revenue: { $sum: netBookingValue },
+            ticketsSold: { $sum: "$bookingQuantity" },
+            bookings: { $sum: 1 },
+          },
+        },
+        { $sort: { revenue: -1 } },
+        { $limit: ADMIN_ANALYTICS_TOP },
+      ])
+      .toArray(),
+
+    bookingCollection
+      .aggregate([
+        { $match: soldInRange },
+        {
+          $group: {
+            _id: "$vendorEmail",
+            vendorName: { $first: "$vendorName" },
+            revenue: { $sum: netBookingValue },
+            ticketsSold: { $sum: "$bookingQuantity" },
+            bookings: { $sum: 1 },
+          },
+        },
+        { $sort: { revenue: -1 } },
+        { $limit: ADMIN_ANALYTICS_TOP },
+      ])
+      .toArray(),
+
+    bookingCollection.countDocuments({
+      status: "payment_failed",
+      updatedAt: { $gte: from, $lte: to },
+    }),
+
+    Promise.all([
+      ticketsCollection.countDocuments({ status: "pending" }),
+      roleRequestsCollection.countDocuments({ status: "pending" }),
+      bookingCollection.countDocuments({ status: "pending" }),
+      bookingCollection.countDocuments({ status: "payment_failed" }),
+    ]),
+  ]);
+
+  const revenueMap = periodMap(transactionStats.byPeriod);
+  const bookingValueMap = periodMap(bookingValueByPeriod);
+  const usersMap = periodMap(usersByPeriod);
+  const vendorMaps = [
+    periodMap(vendorRequestsByPeriod),
+    periodMap(vendorPromotionsByPeriod),
+  ];
+
+  const series = analyticsPeriods(from, to, unit).map((period) => {
+    const key = period.getTime();
+    const revenue = revenueMap.get(key) || {};
+    const bookings = bookingValueMap.get(key) || {};
+    const gross = revenue.gross || 0;
+    const refunds = revenue.refunds || 0;
+    return {
+      period: period.toISOString(),
+      grossBookingValue: bookings.bookingValue || 0,
+      ticketsSold: bookings.ticketsSold || 0,
+      gross,
+      refunds,
+      revenue: gross - refunds,
+      newUsers: usersMap.get(key)?.newUsers || 0,
+      newVendors: vendorMaps.reduce(
+        (sum, map) => sum + (map.get(key)?.newVendors || 0),
+        0
+      ),
+    };
+  });
+
+  const transactionCounts = Object.fromEntries(
+    transactionStats.byStatus.map((row) => [row._id || "unknown", row.count])
+  );
+  const completed = transactionCounts.completed || 0;
+  const failed = transactionCounts.failed || 0;
+  const total = (field) => series.reduce((sum, row) => sum + row[field], 0);
+  const [pendingTickets, pendingRoleRequests, pendingBookings, paymentFailed] =
+    queues;
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString(), granularity: unit },
+    currency: BASE_CURRENCY,
+    totals: {
+      grossBookingValue: total("grossBookingValue"),
+      ticketsSold: total("ticketsSold"),
+      gross: total("gross"),
+      refunds: total("refunds"),
+      revenue: total("revenue"),
+      newUsers: total("newUsers"),
+      newVendors: total("newVendors"),
+    },
+    series,
+    transactions: {
+      ...transactionCounts,
+      completed,
+      failed,
+      successRate: rate(completed, completed + failed),
+      // Paid at Stripe but seats were gone (see fulfillCheckoutSession)
+      paymentFailedBookings,
+    },
+    topRoutes: topRoutes.map(({ _id, ...row }) => ({
+      from: _id.from,
+      to: _id.to,
+      ...row,
+    })),
+    topVendors: topVendors.map(({ _id, ...row }) => ({
+      vendorEmail: _id,
+      ...row,
+    })),
+    moderationQueue: {
+      pendingTickets,
+      pendingRoleRequests,
+      pendingBookings,
+      paymentFailedBookings: paymentFailed,
+    },
+  };
+}
+
+// GET platform analytics. Query: from, to, granularity, refresh=true
+app.get("/api/admin/analytics", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const window = analyticsWindow(req.query);
+    if (window.error) return sendBadRequest(res, window.error);
+
+    // Keyed on the raw query so an open-ended "until now" window still hits
+    const key = [req.query.from, req.query.to, window.unit].join("|");
+    let entry = req.query.refresh === "true" ? null : cachedAdminAnalytics(key);
+    if (!entry) {
+      entry = cacheAdminAnalytics(key, await buildAdminAnalytics(window));
+    }
+
+    const age = Date.now() - entry.cachedAt.getTime();
+    res.set(
+      "Cache-Control",
+      `private, max-age=${Math.max(0, Math.ceil((ADMIN_ANALYTICS_CACHE_MS - age) / 1000))}`
+    );
+    res.json({ success: true, data: entry.data, cachedAt: entry.cachedAt });
+  } catch (error) {
+    console.error("❌ Admin analytics error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+//  
+// STRIPE PAYMENT ROUTES
+//  
+
+// Shared transaction record shape for every payment outcome. `amount` is
+// in the booking's currency; baseAmount is its BASE_CURRENCY value.
+async function recordTransaction(booking, { amount, ...fields }) {
+  return transactionsCollection.insertOne({
+    userId: booking.userId,
+    userEmail: booking.userEmail,
+    bookingId: booking._id.toString(),
+    ticketTitle: booking.ticketTitle,
+    ...(await baseAmountFields(
+      amount ?? booking.totalPrice,
+      priceCurrency(booking),
+      booking.exchangeRate
+    )),
+    paymentDate: new Date(),
+    paymentMethod: "card",
+    createdAt: new Date(),
+    ...fields,
+  });
+}
+
+// How long a fulfilment's claim on a booking blocks another verify/webhook
+const PAYMENT_CLAIM_MS = 2 * 60 * 1000;
+
+// Marks the booking behind a paid Checkout Session as paid and records the
+// transaction. Used by both /api/payment/verify and the Stripe webhook, so it
+// must be idempotent: only an "accepted" booking is claimed.
+async function fulfillCheckoutSession(session) {
+  const bookingId = session.metadata?.bookingId;
+
+  if (!bookingId || !ObjectId.isValid(bookingId)) {
+    return { status: 404, success: false, message: "Booking not found" };
+  }
+
+  const transactionId = session.payment_intent || null;
+
+  const alreadyPaid = {
+    status: 200,
+    success: true,
+    message: "Payment already processed",
+  };
+
+  const existing = await bookingCollection.findOne({
+    _id: new ObjectId(bookingId),
+  });
+
+  if (!existing) {
+    return { status: 404, success: false, message: "Booking not found" };
+  }
+
+  if (existing.status === "paid") return alreadyPaid;
+
+  // Claim the payment so a concurrent verify/webhook can't double-process
+  // it. The booking only becomes "paid" (telling the traveler and vendor,
+  // and spending the promo use) once its seats are sold; a claim left by a
+  // crashed run lapses after PAYMENT_CLAIM_MS.
+  const staleClaim = new Date(Date.now() - PAYMENT_CLAIM_MS);
+  const booking = await bookingCollection.findOneAndUpdate(
+    {
+      _id: existing._id,
+      status: "accepted",
+      $or: [
+        { paymentClaimedAt: null },
+        { paymentClaimedAt: { $lte: staleClaim } },
+      ],
+    },
+    { $set: { paymentClaimedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+
+  if (!booking) {
+    const latest = await bookingCollection.findOne({ _id: existing._id });
+    if (latest?.status === "paid") return alreadyPaid;
+    return {
+      status: 409,
+      success: false,
+      message:
+        latest?.status === "accepted"
+          ? "This payment is already being processed"
+          : "Booking is no longer accepted",
+    };
+  }
+
+  // Convert the seat hold to sold seats (re-acquired if the hold lapsed)
+  const seatsSold = await convertSeatHold(booking);
+
+  if (!seatsSold) {
+    // Insufficient seats: record failed transaction and mark booking for review
+    await recordTransaction(booking, {
+      transactionId,
+      status: "failed",
+      note: "Insufficient tickets to fulfill booking",
+    });
+
+    await transitionBooking(booking, "payment_failed", {
+      actor: "system",
+      note: "Insufficient tickets to fulfill booking",
+      set: { transactionId },
+    });
+
+    return {
+      status: 409,
+      success: false,
+      message:
+        "Payment completed but not enough tickets are available to fulfill booking. Support will contact you for next steps.",
+    };
+  }
+
+  const paid = await transitionBooking(booking, "paid", {
+    actor: "system",
+    note: transactionId ? `Stripe payment ${transactionId}` : "Nothing to pay",
+    set: { transactionId, paymentDate: new Date() },
+  });
+  if (!paid.success) {
+    // Cancelled while its seats were being sold: give them back
+    await releaseSeatHold(booking, "cancelled");
+    return paid;
+  }
+
+  await recordTransaction(paid.data, { transactionId, status: "completed" });
+
+  return { status: 200, success: true, message: "Payment verified successfully" };
+}
+
+// Verify payment and update booking
+app.post("/api/payment/verify", verifyToken, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+
+    if (typeof sessionId !== "string" || !sessionId) {
+      return sendBadRequest(res, "sessionId is required");
+    }
+
+    const session = await stripeClient.checkout.sessions.retrieve(sessionId);
+
+    if (session.payment_status !== "paid") {
+      return res.status(400).json({
+        success: false,
+        message: "Payment not completed",
+      });
+    }
+
+    const { status, ...result } = await fulfillCheckoutSession(session);
+    res.status(status).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+//  
+// STRIPE WEBHOOK
+// Registered before express.json() (see MIDDLEWARE) because signature
+// verification needs the raw request body.
+//  
+
+// Records the charge's refunds that aren't stored yet. Charge events don't
+// list refunds on current API versions, so they are fetched. A refund this
+// server issued (tagged with the booking) was counted on the booking when
+// it was claimed and a crash may have kept it from being recorded; any
+// other refund was made from the Stripe dashboard.
+async function recordChargeRefunds(booking, charge) {
+  if (!stripeClient.refunds) {
+    throw new Error("Payments are disabled on this server");
+  }
+  const { data: refunds } = await stripeClient.refunds.list({
+    charge: charge.id,
+    limit: 100,
+  });
+  const issued = refunds.filter(
+    (refund) => refund.status !== "failed" && refund.status !== "canceled"
+  );
+  if (issued.length === 0) return;
+
+  const recorded = new Set(
+    (
+      await transactionsCollection
+        .find(
+          { refundId: { $in: issued.map((refund) => refund.id) } },
+          { projection: { refundId: 1 } }
+        )
+        .toArray()
+    ).map((transaction) => transaction.refundId)
+  );
+
+  for (const refund of issued) {
+    if (recorded.has(refund.id)) continue;
+    const ours = refund.metadata?.bookingId === booking._id.toString();
+    await recordRefund(booking, {
+      refundId: refund.id,
+      amount: fromMinorUnits(refund.amount, priceCurrency(booking)),
+      reason: ours
+        ? "Refund recorded from Stripe"
+        : "Refunded from Stripe dashboard",
+      counted: ours,
+    });
+  }
+}
+
+const stripeWebhookHandlers = {
+  "checkout.session.completed": async (session) => {
+    if (session.payment_status !== "paid") {
+      console.log("⏳ Checkout session completed but unpaid:", session.id);
+      return;
+    }
+    const result = await fulfillCheckoutSession(session);
+    console.log("💳 checkout.session.completed:", session.id, result.message);
+  },
+
+  // Booking stays "accepted" so the traveler can start a new checkout
+  "checkout.session.expired": async (session) => {
+    const bookingId = session.metadata?.bookingId;
+    if (!bookingId || !ObjectId.isValid(bookingId)) return;
+
+    await bookingCollection.updateOne(
+      { _id: new ObjectId(bookingId), status: "accepted" },
+      { $set: { checkoutExpiredAt: new Date(), updatedAt: new Date() } }
+    );
+  },
+
+  "payment_intent.payment_failed": async (paymentIntent) => {
+    const bookingId = paymentIntent.metadata?.bookingId;
+    if (!bookingId || !ObjectId.isValid(bookingId)) return;
+
+    const booking = await bookingCollection.findOne({
+      _id: new ObjectId(bookingId),
+    });
+    if (!booking) return;
+
+    await recordTransaction(booking, {
+      transactionId: paymentIntent.id,
+      status: "failed",
+      note:
+        paymentIntent.last_payment_error?.message || "Card payment failed",
+    });
+  },
+
+  "charge.refunded": async (charge) => {
+    const booking = await bookingCollection.findOne({
+      transactionId: charge.payment_intent,
+    });
+    if (!booking) return;
+
+    await recordChargeRefunds(booking, charge);
+
+    // Partial refunds keep the booking (and its seats) as is
+    if (!charge.refunded) return;
+
+    // Releases the seats as a side effect; a no-op if already refunded
+    await transitionBooking(booking, "refunded", {
+      actor: "system",
+      note: `Stripe charge ${charge.id} refunded`,
+      set: { refundedAt: new Date() },
+    });
+  },
+};
+
+async function handleStripeWebhook(req, res) {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.warn("STRIPE_WEBHOOK_SECRET missing - webhook disabled");
+    return res
+      .status(500)
+      .json({ success: false, message: "Webhook not configured" });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.body,
+      req.headers["stripe-signature"],
+      secret
+    );
+  } catch (err) {
+    console.log("❌ Stripe signature verification failed:", err.message);
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid Stripe signature" });
+  }
+
+  const handler = stripeWebhookHandlers[event.type];
+  if (!handler) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  // Dedupe: Stripe delivers at least once, so each event id is processed once
+  try {
+    await stripeEventsCollection.insertOne({
+      eventId: event.id,
+      type: event.type,
+      receivedAt: new Date(),
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.json({ received: true, duplicate: true });
+    }
+    throw err;
+  }
+
+  try {
+    await handler(event.data.object);
+    res.json({ received: true });
+  } catch (error) {
+    console.error("❌ Stripe webhook error:", event.type, error);
+    // Forget the event so Stripe's retry gets processed
+    await stripeEventsCollection.deleteOne({ eventId: event.id });
+    res.status(500).json({ success: false, message: error.message });
+  }
+}
+
+// CREATE STRIPE CHECKOUT SESSION
+app.post("/api/payment/create-session", verifyToken, async (req, res) => {
+  try {
+    const { bookingId } = req.body;
+
+    if (!isObjectIdString(bookingId)) {
+      return res.status(400).json({ success: false, message: "A valid bookingId is required" });
+    }
+
+    // Fetch booking and validate ownership + status
+    const booking = await bookingCollection.findOne({
+      _id: new ObjectId(bookingId),
+      userEmail: req.tokenEmail, // Security: user can only pay for their own booking
+      status: "accepted",        // Only pay if vendor approved
+    });
+
+    if (!booking) {
+      return res.status(400).json({
+        success: false,
+        message: "Booking not found or not approved for payment yet",
+      });
+    }
+
+    if (booking.status === "paid") {
+      return res.status(400).json({
+        success: false,
+        message: "This booking is already paid",
+      });
+    }
+
+    // Checkout Sessions live 30 minutes (Stripe's minimum); keep the seat
+    // hold alive at least that long so the sweeper can't release paid seats
+    const CHECKOUT_MINUTES = 30;
+    await extendSeatHold(booking._id, CHECKOUT_MINUTES + 1);
+
+    // Stripe can't charge 0: a fully discounted booking is settled here
+    if (booking.totalPrice <= 0) {
+      const { status, ...result } = await fulfillCheckoutSession({
+        payment_intent: null,
+        metadata: { bookingId: booking._id.toString() },
+      });
+      return res.status(status).json({ ...result, url: null, paid: result.success });
+    }
+
+    const currency = priceCurrency(booking);
+    const promoNote = booking.promo
+      ? ` | Promo ${booking.promo.code} (-${formatMoney(booking.promo.discount, currency)})`
+      : "";
+
+    // Create Stripe Checkout Session
+    const session = await stripeClient.checkout.sessions.create({
+      payment_method_types: ["card"],
+      line_items: [
+        {
+          price_data: {
+            currency: currency.toLowerCase(),
+            product_data: {
+              name: booking.ticketTitle,
+              description: `${booking.from} → ${booking.to} | ${booking.departureDate} at ${booking.departureTime} | ${booking.bookingQuantity} ticket(s)${booking.seats?.length ? ` | Seats ${booking.seats.join(", ")}` : ""}${promoNote}`,
+            },
+            unit_amount: toMinorUnits(booking.totalPrice, currency),
+          },
+          quantity: 1,
+        },
+      ],
+      mode: "payment",
+      expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_MINUTES * 60,
+      // Lets payment_intent.* webhook events find the booking
+      payment_intent_data: {
+        metadata: { bookingId: booking._id.toString() },
+      },
+      success_url: `${process.env.CLIENT_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${process.env.CLIENT_URL}/payment/cancel`,
+      metadata: {
+        bookingId: booking._id.toString(),
+        userEmail: req.tokenEmail,
+        ...(booking.promo && { promoCode: booking.promo.code }),
+      },
+    });
+
+    res.json({ url: session.url });
+  } catch (error) {
+    console.error("❌ Stripe session creation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create payment session",
+      error: error.message,
+    });
+  }
+});
+//  
+// CANCELLATION & REFUNDS
+//  
+
+// Refund share by how early the traveler cancels, checked top-down.
+// Override with CANCELLATION_POLICY='[{"minHoursBefore":48,"refundPercent":100},...]'
+const DEFAULT_CANCELLATION_POLICY = [
+  { minHoursBefore: 48, refundPercent: 100 },
+  { minHoursBefore: 24, refundPercent: 50 },
+  { minHoursBefore: 0, refundPercent: 0 },
+];
+
+// A malformed override falls back to the default rather than stopping the server
+function loadCancellationPolicy(raw) {
+  if (!raw) return DEFAULT_CANCELLATION_POLICY;
+
+  let tiers;
+  try {
+    tiers = JSON.parse(raw);
+  } catch (error) {
+    console.warn(
+      "⚠ CANCELLATION_POLICY is not valid JSON, using the default:",
+      error.message
+    );
+    return DEFAULT_CANCELLATION_POLICY;
+  }
+
+  const valid =
+    Array.isArray(tiers) &&
+    tiers.length > 0 &&
+    tiers.every(
+      (tier) =>
+        isPlainObject(tier) &&
+        Number.isFinite(tier.minHoursBefore) &&
+        Number.isFinite(tier.refundPercent) &&
+        tier.refundPercent >= 0 &&
+        tier.refundPercent <= 100
+    );
+  if (!valid) {
+    console.warn(
+      "⚠ CANCELLATION_POLICY must be a list of { minHoursBefore, refundPercent (0-100) }, using the default"
+    );
+    return DEFAULT_CANCELLATION_POLICY;
+  }
+  return tiers;
+}
+
+const CANCELLATION_POLICY = loadCancellationPolicy(
+  process.env.CANCELLATION_POLICY
+)
+  .map(({ minHoursBefore, refundPercent }) => ({
+    minHoursBefore,
+    refundPercent,
+  }))
+  .sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+
+// Departure dates and times are wall-clock values in TRIP_TIME_ZONE (an IANA
+// name such as "Asia/Dhaka"), whatever timezone the server runs in
+const TRIP_TIME_ZONE = (() => {
+  const zone = process.env.TRIP_TIME_ZONE || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return zone;
+  } catch {
+    console.warn(`⚠ Unknown TRIP_TIME_ZONE "${zone}", using UTC`);
+    return "UTC";
+  }
+})();
+
+const tripZoneFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: TRIP_TIME_ZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+});
+
+// Milliseconds TRIP_TIME_ZONE is ahead of UTC at the instant `time`
+function tripZoneOffset(time) {
+  const parts = Object.fromEntries(
+    tripZoneFormat
+      .formatToParts(new Date(time))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute
+  );
+  return wallClock - Math.floor(time / 60000) * 60000;
+}
+
+// Combines departureDate ("2025-12-20") and departureTime ("14:30" or
+// "2:30 PM") into the Date they mean in TRIP_TIME_ZONE (midnight without a
+// time). Returns null when unparseable.
+function departureDateTime({ departureDate, departureTime }) {
+  if (!departureDate) return null;
+  let day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(departureDay(departureDate));
+  if (!day) {
+    // Legacy free-form dates
+    const parsed = new Date(departureDate);
+    if (isNaN(parsed.getTime())) return null;
+    day = /^(\d{4})-(\d{2})-(\d{2})/.exec(parsed.toISOString());
+  }
+
+  let hours = 0;
+  let minutes = 0;
+  const match = /^(\d{1,2}):(\d{2})\s*(am|pm)?$/i.exec(
+    String(departureTime || "").trim()
+  );
+  if (match) {
+    hours = Number(match[1]) % 24;
+    minutes = Number(match[2]);
+    const meridiem = match[3]?.toLowerCase();
+    if (meridiem === "pm" && hours < 12) hours += 12;
+    if (meridiem === "am" && hours === 12) hours = 0;
+  }
+
+  const wallClock = Date.UTC(
+    Number(day[1]),
+    Number(day[2]) - 1,
+    Number(day[3]),
+    hours,
+    minutes
+  );
+  if (isNaN(wallClock)) return null;
+  // The offset at the wall-clock time itself, corrected once for DST edges
+  let time = wallClock - tripZoneOffset(wallClock);
+  time = wallClock - tripZoneOffset(time);
+  return new Date(time);
+}
+
+// What the policy refunds if the booking is cancelled at `now`
+function refundQuote(booking, now = new Date()) {
+  const departure = departureDateTime(booking);
+  const hoursBeforeDeparture = departure
+    ? (departure.getTime() - now.getTime()) / (60 * 60 * 1000)
+    : Infinity;
+
+  const tier = CANCELLATION_POLICY.find(
+    (t) => hoursBeforeDeparture >= t.minHoursBefore
+  );
+  const refundPercent = tier ? tier.refundPercent : 0;
+  const refundable = refundableAmount(booking);
+
+  return {
+    hoursBeforeDeparture,
+    refundPercent,
+    refundAmount: roundMoney(
+      (refundable * refundPercent) / 100,
+      priceCurrency(booking)
+    ),
+  };
+}
+
+const refundableAmount = (booking) =>
+  Math.max(0, (booking.totalPrice || 0) - (booking.refundedAmount || 0));
+
+// Writes a refund into transactionCollection and the running total on the
+// booking (unless issueRefund already counted it). A refundId is recorded
+// once, so the webhook and the refund routes can't both book the same refund.
+async function recordRefund(
+  booking,
+  { refundId, amount, reason, by = null, counted = false }
+) {
+  try {
+    await recordTransaction(booking, {
+      transactionId: booking.transactionId,
+      refundId,
+      amount: -amount,
+      status: "refunded",
+      note: reason,
+      processedBy: by,
+    });
+  } catch (error) {
+    if (error.code === 11000) return;
+    throw error;
+  }
+
+  if (counted) return;
+  await bookingCollection.updateOne(
+    { _id: booking._id },
+    { $inc: { refundedAmount: amount }, $set: { updatedAt: new Date() } }
+  );
+}
+
+// Issues a Stripe refund for `amount` against the booking's payment intent.
+// The amount is first claimed on the booking with a guarded $inc, so of two
+// concurrent refunds only one reaches Stripe. Returns { refund, booking }
+// (the booking after the claim), or null if the booking's status or refunded
+// total changed since it was read.
+// The Stripe client is injectable so this runs against a mock in tests.
+async function issueRefund(booking, amount, options = {}) {
+  const { reason = null, by = null, stripeApi = stripeClient } = options;
+
+  if (!booking.transactionId) {
+    throw new Error("Booking has no payment to refund");
+  }
+  if (!stripeApi.refunds) {
+    throw new Error("Payments are disabled on this server");
+  }
+
+  const claimed = await bookingCollection.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: booking.status,
+      refundedAmount: booking.refundedAmount ?? null,
+    },
+    { $inc: { refundedAmount: amount }, $set: { updatedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+  if (!claimed) return null;
+
+  let refund;
+  try {
+    refund = await stripeApi.refunds.create(
+      {
+        payment_intent: booking.transactionId,
+        amount: toMinorUnits(amount, priceCurrency(booking)),
+        metadata: { bookingId: booking._id.toString() },
+      },
+      // Retrying the same refund for the same booking total never double-refunds
+      {
+        idempotencyKey: `refund_${booking._id}_${booking.refundedAmount || 0}_${amount}`,
+      }
+    );
+  } catch (error) {
+    await bookingCollection.updateOne(
+      { _id: booking._id },
+      { $inc: { refundedAmount: -amount }, $set: { updatedAt: new Date() } }
+    );
+    throw error;
+  }
+
+  await recordRefund(claimed, {
+    refundId: refund.id,
+    amount,
+    reason,
+    by,
+    counted: true,
+  });
+  return { refund, booking: claimed };
+}
+
+// POST traveler cancels their own booking. Paid bookings are refunded
+// according to CANCELLATION_POLICY; a partial refund leaves the booking
+// cancelled, so the rest can still be refunded through /refund.
+app.post(
+  "/api/bookings/:id/cancel",
+  verifyToken,
+  requireRole(),
+  validateBody(bookingCancelSchema),
+  async (req, res) => {
+    try {
+      const booking = await bookingCollection.findOne({
+        _id: new ObjectId(req.params.id),
+        userEmail: req.user.email,
+      });
+
+      if (!booking) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Booking not found" });
+      }
+
+      const reason = req.body.reason || "Cancelled by traveler";
+      const quote = booking.status === "paid" ? refundQuote(booking) : null;
+
+      if (quote && quote.hoursBeforeDeparture < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "This trip has already departed and can't be cancelled",
+        });
+      }
+
+      const cancelled = await transitionBooking(booking, "cancelled", {
+        actor: "buyer",
+        by: req.user.email,
+        note: reason,
+        set: {
+          cancellationReason: reason,
+          cancelledAt: new Date(),
+          ...(quote && {
+            refundPercent: quote.refundPercent,
+            refundAmount: quote.refundAmount,
+          }),
+        },
+      });
+
+      if (!cancelled.success) {
+        const { status, ...result } = cancelled;
+        return res.status(status).json(result);
+      }
+
+      if (!quote || quote.refundAmount <= 0) {
+        return res.json({
+          success: true,
+          message: "Booking cancelled successfully",
+          data: cancelled.data,
+          refund: quote,
+        });
+      }
+
+      let issued;
+      try {
+        issued = await issueRefund(cancelled.data, quote.refundAmount, {
+          reason,
+          by: req.user.email,
+        });
+        if (!issued) {
+          return res.status(409).json({
+            success: false,
+            message:
+              "Booking cancelled, but another refund was issued at the same time. Check the booking before refunding again.",
+            data: cancelled.data,
+          });
+        }
+      } catch (refundError) {
+        console.error("❌ Refund failed for cancelled booking:", refundError);
+        return res.status(502).json({
+          success: false,
+          message:
+            "Booking cancelled, but the refund could not be issued. Support will process it manually.",
+          data: cancelled.data,
+        });
+      }
+
+      const refunded =
+        refundableAmount(issued.booking) > 0
+          ? null
+          : await transitionBooking(issued.booking, "refunded", {
+              actor: "system",
+              note: `${quote.refundPercent}% refund per cancellation policy`,
+              set: { refundedAt: new Date() },
+            });
+
+      res.json({
+        success: true,
+        message: `Booking cancelled. ${quote.refundAmount} refunded.`,
+        data: refunded?.data || issued.booking,
+        refund: quote,
+      });
+    } catch (error) {
+      console.error("❌ Error cancelling booking:", error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// POST vendor/admin refunds a booking. Full refund by default;
+// { applyPolicy: true } uses the cancellation policy, admins may pass { amount }.
+// The booking becomes "refunded" once nothing is left to refund; after a
+// partial refund it keeps its status (and seats).
+app.post(
+  "/api/bookings/:id/refund",
+  verifyToken,
+  verifyVendor,
+  validateBody(bookingRefundSchema),
+  async (req, res) => {
+    try {
+      const booking = await bookingCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+
+      if (!booking) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Booking not found" });
+      }
+
+      const actors = (await bookingActorsFor(booking, req.user)).filter(
+        (a) => a === "vendor" || a === "admin"
+      );
+      if (actors.length === 0) {
+        return sendForbidden(res, "Forbidden: this booking is not yours");
+      }
+
+      // Validate before money moves
+      const check = checkBookingTransition(booking.status, "refunded", actors);
+      if (!check.performedAs) {
+        const { status, ...result } = check;
+        return res.status(status).json(result);
+      }
+
+      const { amount, applyPolicy, reason } = req.body;
+      const refundable = refundableAmount(booking);
+      let refundAmount = refundable;
+
+      if (amount !== undefined) {
+        if (!actors.includes("admin")) {
+          return sendForbidden(res, "Only admins can set a custom refund amount");
+        }
+        refundAmount = roundMoney(amount, priceCurrency(booking));
+        if (refundAmount <= 0 || refundAmount > refundable) {
+          return res.status(400).json({
+            success: false,
+            message: `amount must be between 0 and ${refundable}`,
+          });
+        }
+      } else if (applyPolicy) {
+        refundAmount = refundQuote(booking).refundAmount;
+        if (refundAmount <= 0 && refundable > 0) {
+          return sendBadRequest(
+            res,
+            "The cancellation policy refunds nothing for this booking now"
+          );
+        }
+      }
+
+      let refundedBooking = booking;
+      if (refundAmount > 0) {
+        const issued = await issueRefund(booking, refundAmount, {
+          reason: reason || `Refund issued by ${check.performedAs}`,
+          by: req.user.email,
+        });
+        if (!issued) {
+          return res.status(409).json({
+            success: false,
+            message: "Booking changed while refunding. Reload it and try again.",
+          });
+        }
+        refundedBooking = issued.booking;
+      }
+
+      if (refundableAmount(refundedBooking) > 0) {
+        return res.json({
+          success: true,
+          message: `${refundAmount} refunded. The booking stays ${refundedBooking.status}.`,
+          data: refundedBooking,
+          refundAmount,
+        });
+      }
+
+      const refunded = await transitionBooking(refundedBooking, "refunded", {
+        actor: actors,
+        by: req.user.email,
+        note: reason || null,
+        set: { refundedAt: new Date(), refundAmount },
+      });
+
+      const { status, ...result } = refunded;
+      res.status(status).json({ ...result, refundAmount });
+    } catch (error) {
+      console.error("❌ Error refunding booking:", error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// GET user's transactions
+app.get("/api/transactions/user/:userId", verifyToken, async (req, res) => {
+  try {
+    // Ensure authenticated user is requesting their own transactions
+    const authUser = await usersCollection.findOne({ email: req.tokenEmail });
+    if (!authUser) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (authUser._id.toString() !== req.params.userId) {
+      return res.status(403).json({
+        success: false,
+        message: "Forbidden: cannot access other user's transactions",
+      });
+    }
+
+    const transactions = await transactionsCollection
+      .find({ userId: req.params.userId })
+      .sort({ paymentDate: -1 })
+      .toArray();
+
+    res.json({ success: true, data: transactions });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+//  
+// E-TICKETS
+// A paid booking's e-ticket is a PDF with the trip details and a QR code of
+// a signed booking token: an HS256 JWT over the booking id, ticket id and
+// passenger count, valid until a day after departure. Everything is
+// rendered locally (built-in PDF fonts, QR drawn as vector squares) and
+// dated by the payment, so the same booking always yields the same bytes.
+//  
+const BOOKING_TOKEN_SECRET = process.env.BOOKING_TOKEN_SECRET;
+const BOOKING_TOKEN_OPTIONS = { issuer: "mavenux", audience: "boarding" };
+const BOOKING_TOKEN_GRACE_HOURS = 24;
+const QR_QUIET_ZONE = 4;
+
+if (!BOOKING_TOKEN_SECRET) {
+  console.warn("BOOKING_TOKEN_SECRET missing - E-tickets disabled");
+}
+
+// No iat, so signing the same booking twice gives the same token
+function signBookingToken(booking) {
+  const departure = departureDateTime(booking);
+  const claims = {
+    bid: booking._id.toString(),
+    tid: booking.ticketId,
+    qty: booking.bookingQuantity,
+    ...(departure && {
+      exp:
+        Math.floor(departure.getTime() / 1000) +
+        BOOKING_TOKEN_GRACE_HOURS * 60 * 60,
+    }),
+  };
+  return jwt.sign(claims, BOOKING_TOKEN_SECRET, {
+    ...BOOKING_TOKEN_OPTIONS,
+    algorithm: "HS256",
+    noTimestamp: true,
+  });
+}
+
+// Returns { claims } or { error } for a scanned token
+function verifyBookingToken(token) {
+  try {
+    const claims = jwt.verify(String(token), BOOKING_TOKEN_SECRET, {
+      ...BOOKING_TOKEN_OPTIONS,
+      algorithms: ["HS256"],
+    });
+    if (!ObjectId.isValid(claims.bid)) {
+      return { error: "Invalid e-ticket" };
+    }
+    return { claims };
+  } catch (error) {
+    return {
+      error:
+        error.name === "TokenExpiredError"
+          ? "This e-ticket has expired"
+          : "Invalid or tampered e-ticket",
+    };
+  }
+}
+
+// Draws `text` as a QR code with its top-left corner at (x, y)
+function drawQrCode(doc, text, { x, y, size }) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: "M" });
+  const cell = size / (modules.size + QR_QUIET_ZONE * 2);
+  const origin = (offset) => offset + QR_QUIET_ZONE * cell;
+
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        doc.rect(origin(x) + col * cell, origin(y) + row * cell, cell, cell);
+      }
+    }
+  }
+  doc.fill("#000000");
+}
+
+// Resolves to the PDF as a Buffer
+function renderETicket(booking, token) {
+  const issuedAt = new Date(
+    booking.paymentDate || booking.updatedAt || booking.createdAt
+  );
+  const doc = new PDFDocument({
+    size: "A5",
+    margin: 40,
+    info: {
+      Title: `E-ticket ${booking._id}`,
+      Author: "Mavenux",
+      CreationDate: issuedAt,
+    },
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
 
-      console.log(
-        "🔍 Processing request:",
-        req.params.requestId,
-        "Action:",
-        action
-      );
+  const passenger =
+    booking.passengerName || booking.userName || booking.userEmail;
+  const rows = [
+    ["Booking", booking._id.toString()],
+    ["Route", `${booking.from} to ${booking.to}`],
+    [
+      "Departure",
+      `${booking.departureDate}${booking.departureTime ? ` at ${booking.departureTime}` : ""}`,
+    ],
+    ["Transport", booking.transportType || "-"],
+    ["Operator", booking.vendorName || "-"],
+    ["Passenger", passenger],
+    ["Tickets", String(booking.bookingQuantity)],
+    ...(booking.seats?.length ? [["Seats", booking.seats.join(", ")]] : []),
+    ["Paid", formatMoney(booking.totalPrice, priceCurrency(booking))],
+  ];
+
+  doc.font("Helvetica-Bold").fontSize(18).text("Mavenux E-Ticket");
+  doc.font("Helvetica").fontSize(11).text(booking.ticketTitle || "");
+  doc.moveDown();
+
+  for (const [label, value] of rows) {
+    doc
+      .font("Helvetica-Bold")
+      .text(`${label}: `, { continued: true })
+      .font("Helvetica")
+      .text(value);
+  }
 
-      // Verify user is admin
-      const adminUser = await usersCollection.findOne({
-        email: req.tokenEmail,
+  const qrSize = 180;
+  const qrTop = doc.y + 16;
+  drawQrCode(doc, token, {
+    x: (doc.page.width - qrSize) / 2,
+    y: qrTop,
+    size: qrSize,
+  });
+
+  doc
+    .fontSize(9)
+    .text(
+      "Show this QR code when boarding. It admits the passengers above once.",
+      doc.page.margins.left,
+      qrTop + qrSize + 8,
+      { align: "center" }
+    )
+    .text(`Issued ${issuedAt.toISOString().slice(0, 10)}`, { align: "center" });
+
+  doc.end();
+  return done;
+}
+
+// GET the caller's e-ticket for a paid booking, as a PDF download
+app.get("/api/bookings/:id/e-ticket", verifyToken, async (req, res) => {
+  try {
+    if (!BOOKING_TOKEN_SECRET) {
+      return res.status(503).json({
+        success: false,
+        message: "E-tickets are disabled on this server",
       });
+    }
+
+    const booking = await bookingCollection.findOne({
+      _id: new ObjectId(req.params.id),
+      userEmail: req.tokenEmail,
+    });
+    if (!booking) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Booking not found" });
+    }
+    if (booking.status !== "paid") {
+      return sendBadRequest(
+        res,
+        "E-tickets are only available for paid bookings"
+      );
+    }
+
+    const pdf = await renderETicket(booking, signBookingToken(booking));
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="e-ticket-${booking._id}.pdf"`,
+      "Cache-Control": "private, no-store",
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error("❌ E-ticket error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+//  
+// BOARDING
+// Vendors scan e-ticket QR codes (see E-TICKETS) at departure. A booking's
+// passengers may board over several scans (boardedCount, plus boardedSeats
+// for seat-map bookings); once all of them are aboard the token is spent.
+//  
+const BOARDING_STATUSES = ["not_boarded", "partial", "boarded"];
+
+function boardingSummary(booking) {
+  const boardedCount = booking.boardedCount || 0;
+  const remaining = Math.max(0, booking.bookingQuantity - boardedCount);
+  let boardingStatus = "partial";
+  if (boardedCount === 0) boardingStatus = "not_boarded";
+  if (remaining === 0) boardingStatus = "boarded";
+  return {
+    boardingStatus,
+    boardedCount,
+    remaining,
+    boardedSeats: booking.boardedSeats || [],
+  };
+}
 
-      if (adminUser.role !== "admin") {
-        return res.status(403).json({
+// POST check passengers in from a scanned e-ticket token. Boards the given
+// seats, or `passengers` of them, or everyone not yet aboard.
+app.post(
+  "/api/boarding/check-in",
+  verifyToken,
+  verifyVendor,
+  validateBody(checkInSchema),
+  async (req, res) => {
+    try {
+      if (!BOOKING_TOKEN_SECRET) {
+        return res.status(503).json({
           success: false,
-          message: "Only admins can process role requests",
+          message: "E-tickets are disabled on this server",
         });
       }
 
-      if (!["approve", "reject"].includes(action)) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid action. Must be 'approve' or 'reject'",
-        });
+      const { claims, error } = verifyBookingToken(req.body.token);
+      if (error) return sendBadRequest(res, error);
+
+      const booking = await bookingCollection.findOne({
+        _id: new ObjectId(claims.bid),
+      });
+      if (!booking || booking.ticketId !== claims.tid) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Booking not found" });
       }
 
-      // Get the request
-      const request = await roleRequestsCollection.findOne({
-        _id: new ObjectId(req.params.requestId),
+      const ticket = await ticketsCollection.findOne({
+        _id: new ObjectId(booking.ticketId),
       });
+      if (
+        !ticket ||
+        (req.user.role !== "admin" && !isTicketOwner(ticket, req.user))
+      ) {
+        return sendForbidden(res, "This e-ticket is for another vendor's trip");
+      }
 
-      if (!request) {
-        return res.status(404).json({
+      if (booking.status !== "paid") {
+        return res.status(409).json({
           success: false,
-          message: "Request not found",
+          message: `This booking is ${booking.status}, not paid`,
         });
       }
-
-      if (request.status !== "pending") {
-        return res.status(400).json({
+      if (claims.qty !== booking.bookingQuantity) {
+        return res.status(409).json({
           success: false,
-          message: `Request already ${request.status}`,
+          message: "This e-ticket no longer matches the booking",
         });
       }
 
-      console.log(
-        "✅ Request found:",
-        request.userEmail,
-        "→",
-        request.requestedRole
-      );
-
-      // If approving, update user's role
-      if (action === "approve") {
-        // ✅ FIX: Use email to find user, not _id
-        const userToUpdate = await usersCollection.findOne({
-          email: request.userEmail,
+      const { remaining } = boardingSummary(booking);
+      if (remaining === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "This e-ticket has already been used",
+          data: boardingSummary(booking),
         });
+      }
 
-        console.log("🔍 Looking for user:", request.userEmail);
-
-        if (!userToUpdate) {
-          console.log("❌ User not found in database:", request.userEmail);
-          return res.status(404).json({
-            success: false,
-            message: `User not found: ${request.userEmail}. They may need to log in again.`,
-          });
+      const alreadyBoarded = new Set(booking.boardedSeats || []);
+      let seats = null;
+      let count = req.body.passengers || remaining;
+
+      if (req.body.seats?.length) {
+        seats = [...new Set(req.body.seats.map((seat) => seat.toUpperCase()))];
+        const unknown = seats.filter((seat) => !booking.seats?.includes(seat));
+        if (unknown.length > 0) {
+          return sendBadRequest(
+            res,
+            `Seat(s) not on this booking: ${unknown.join(", ")}`
+          );
         }
-
-        console.log(
-          "✅ User found:",
-          userToUpdate.email,
-          "Current role:",
-          userToUpdate.role
-        );
-
-        // Update the user's role
-        const updateResult = await usersCollection.findOneAndUpdate(
-          { email: request.userEmail }, // ✅ Use email, not _id
-          {
-            $set: {
-              role: request.requestedRole,
-              updatedAt: new Date().toISOString(),
-            },
-          },
-          { returnDocument: "after" }
-        );
-
-        if (!updateResult.value) {
-          console.log("❌ Failed to update user");
-          return res.status(500).json({
+        const repeated = seats.filter((seat) => alreadyBoarded.has(seat));
+        if (repeated.length > 0) {
+          return res.status(409).json({
             success: false,
-            message: "Failed to update user role",
+            message: `Seat(s) already boarded: ${repeated.join(", ")}`,
           });
         }
+        count = seats.length;
+      } else if (!req.body.passengers && booking.seats?.length) {
+        // Boarding everyone left: record their seats when that's unambiguous
+        const open = booking.seats.filter((seat) => !alreadyBoarded.has(seat));
+        if (open.length === remaining) seats = open;
+      }
 
-        console.log(
-          `✅ User role updated: ${request.userEmail} → ${request.requestedRole}`
-        );
+      if (count > remaining) {
+        return res.status(409).json({
+          success: false,
+          message: `Only ${remaining} passenger(s) left to board`,
+        });
       }
 
-      // Update request status
-      const updatedRequest = await roleRequestsCollection.findOneAndUpdate(
-        { _id: new ObjectId(req.params.requestId) },
+      // Guarded so two simultaneous scans can't board more than were booked
+      const now = new Date();
+      const updated = await bookingCollection.findOneAndUpdate(
+        {
+          _id: booking._id,
+          status: "paid",
+          $expr: {
+            $lte: [
+              { $add: [{ $ifNull: ["$boardedCount", 0] }, count] },
+              "$bookingQuantity",
+            ],
+          },
+          ...(seats && { boardedSeats: { $nin: seats } }),
+        },
         {
+          $inc: { boardedCount: count },
+          ...(seats && { $addToSet: { boardedSeats: { $each: seats } } }),
+          $push: {
+            boardings: { count, seats, at: now, by: req.user.email },
+          },
           $set: {
-            status: action === "approve" ? "approved" : "rejected",
-            processedBy: adminUser.email,
-            processedDate: new Date().toISOString(),
-            rejectionReason: action === "reject" ? rejectionReason : null,
+            updatedAt: now,
+            ...(count === remaining && { boardedAt: now }),
           },
         },
         { returnDocument: "after" }
       );
 
-      console.log("✅ Request updated to:", updatedRequest.value.status);
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: "This e-ticket was just scanned by someone else; scan again",
+        });
+      }
+
+      const summary = boardingSummary(updated);
+      publishBookingEvent(updated, "booking.boarded", summary);
 
       res.json({
         success: true,
-        message: `Request ${action}d successfully`,
-        data: updatedRequest.value,
+        message: `${count} passenger(s) checked in`,
+        data: {
+          bookingId: updated._id.toString(),
+          ticketTitle: updated.ticketTitle,
+          from: updated.from,
+          to: updated.to,
+          passengerName: updated.passengerName || updated.userName || null,
+          bookingQuantity: updated.bookingQuantity,
+          seats: updated.seats || [],
+          ...summary,
+        },
       });
     } catch (error) {
-      console.error("❌ Error processing role request:", error);
-      res.status(500).json({
-        success: false,
-        message: error.message,
-      });
+      console.error("❌ Check-in error:", error);
+      res.status(500).json({ success: false, message: error.message });
     }
   }
 );
 
-// DELETE: Cancel own pending request
-app.delete("/api/role-requests/:requestId", verifyToken, async (req, res) => {
-  try {
-    const request = await roleRequestsCollection.findOne({
-      _id: new ObjectId(req.params.requestId),
-      userEmail: req.tokenEmail,
-    });
+// GET boarding manifest for a ticket: every sold booking and who has boarded.
+// ?boardingStatus=not_boarded|partial|boarded narrows the list (not the totals).
+app.get(
+  "/api/tickets/:id/manifest",
+  verifyToken,
+  verifyVendor,
+  verifyTicketOwner,
+  async (req, res) => {
+    try {
+      const { boardingStatus } = req.query;
+      if (boardingStatus && !BOARDING_STATUSES.includes(boardingStatus)) {
+        return sendBadRequest(
+          res,
+          `Invalid boardingStatus. Must be one of: ${BOARDING_STATUSES.join(", ")}`
+        );
+      }
 
-    if (!request) {
-      return res.status(404).json({
-        success: false,
-        message: "Request not found",
+      const bookings = await bookingCollection
+        .find({
+          ticketId: req.ticket._id.toString(),
+          status: { $in: SOLD_BOOKING_STATUSES },
+        })
+        .sort({ createdAt: 1 })
+        .toArray();
+
+      const passengers = bookings.map((booking) => ({
+        bookingId: booking._id.toString(),
+        status: booking.status,
+        passengerName: booking.passengerName || booking.userName || null,
+        passengerPhone: booking.passengerPhone || null,
+        userEmail: booking.userEmail,
+        from: booking.from,
+        to: booking.to,
+        bookingQuantity: booking.bookingQuantity,
+        seats: booking.seats || [],
+        ...boardingSummary(booking),
+        lastBoardedAt: booking.boardings?.at(-1)?.at || null,
+      }));
+
+      const totalPassengers = passengers.reduce(
+        (sum, row) => sum + row.bookingQuantity,
+        0
+      );
+      const boarded = passengers.reduce((sum, row) => sum + row.boardedCount, 0);
+
+      res.json({
+        success: true,
+        data: {
+          ticket: {
+            _id: req.ticket._id,
+            title: req.ticket.title,
+            from: req.ticket.from,
+            to: req.ticket.to,
+            departureDate: req.ticket.departureDate,
+            departureTime: req.ticket.departureTime,
+          },
+          totals: {
+            bookings: passengers.length,
+            passengers: totalPassengers,
+            boarded,
+            notBoarded: totalPassengers - boarded,
+          },
+          passengers: boardingStatus
+            ? passengers.filter((row) => row.boardingStatus === boardingStatus)
+            : passengers,
+        },
       });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
     }
+  }
+);
 
-    if (request.status !== "pending") {
-      return res.status(400).json({
-        success: false,
-        message: "Can only cancel pending requests",
+//  
+// REVIEWS
+// Travelers review a paid booking once its departure has passed, one review
+// per booking. Vendors may reply and admins may hide reviews. Tickets and
+// vendors (their user document) store ratingAverage and reviewCount over
+// visible reviews, leaving out authors flagged as fraud (authorFlagged).
+//  
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+const countedReviews = { status: "visible", authorFlagged: { $ne: true } };
+
+async function ratingSummary(match) {
+  const [row] = await reviewsCollection
+    .aggregate([
+      { $match: { ...countedReviews, ...match } },
+      {
+        $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } },
+      },
+    ])
+    .toArray();
+  return {
+    ratingAverage: row ? Math.round(row.average * 100) / 100 : null,
+    reviewCount: row ? row.count : 0,
+  };
+}
+
+// Recomputes the stored aggregates of a ticket and its vendor
+async function refreshRatings({ ticketId, vendorEmail }) {
+  const [ticketRating, vendorRating] = await Promise.all([
+    ratingSummary({ ticketId }),
+    ratingSummary({ vendorEmail }),
+  ]);
+  await Promise.all([
+    ticketsCollection.updateOne(
+      { _id: new ObjectId(ticketId) },
+      { $set: ticketRating }
+    ),
+    usersCollection.updateOne({ email: vendorEmail }, { $set: vendorRating }),
+  ]);
+}
+
+// Takes a reviewer's reviews out of (or back into) the aggregates when their
+// fraud flag changes
+async function setReviewerFlag(userEmail, flagged) {
+  const result = await reviewsCollection.updateMany(
+    { userEmail, authorFlagged: { $ne: flagged } },
+    { $set: { authorFlagged: flagged, updatedAt: new Date() } }
+  );
+  if (result.modifiedCount === 0) return;
+
+  const reviews = await reviewsCollection
+    .find({ userEmail })
+    .project({ ticketId: 1, vendorEmail: 1 })
+    .toArray();
+  const targets = new Map(
+    reviews.map((review) => [`${review.ticketId}|${review.vendorEmail}`, review])
+  );
+  for (const review of targets.values()) await refreshRatings(review);
+}
+
+// What everyone may see of a review
+const publicReview = (review) => ({
+  _id: review._id,
+  ticketId: review.ticketId,
+  ticketTitle: review.ticketTitle,
+  vendorId: review.vendorId,
+  userName: review.userName,
+  rating: review.rating,
+  comment: review.comment,
+  reply: review.reply || null,
+  createdAt: review.createdAt,
+});
+
+// POST review a paid booking after its departure
+app.post(
+  "/api/reviews",
+  verifyToken,
+  requireRole({ allowFraud: true }),
+  validateBody(reviewSchema),
+  async (req, res) => {
+    try {
+      const { bookingId, rating, comment } = req.body;
+      const booking = await bookingCollection.findOne({
+        _id: new ObjectId(bookingId),
+        userEmail: req.user.email,
+      });
+      if (!booking) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Booking not found" });
+      }
+      if (!SOLD_BOOKING_STATUSES.includes(booking.status)) {
+        return sendBadRequest(res, "Only paid bookings can be reviewed");
+      }
+      const departure = departureDateTime(booking);
+      if (!departure || departure > new Date()) {
+        return sendBadRequest(res, "You can review this trip after it departs");
+      }
+
+      const review = {
+        bookingId,
+        ticketId: booking.ticketId,
+        ticketTitle: booking.ticketTitle,
+        vendorId: booking.vendorId,
+        vendorEmail: booking.vendorEmail,
+        userEmail: req.user.email,
+        userName:
+          req.user.displayName || req.user.name || booking.userName || "Traveler",
+        rating,
+        comment: comment || null,
+        status: "visible",
+        authorFlagged: Boolean(req.user.isFraud),
+        reply: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      try {
+        await reviewsCollection.insertOne(review);
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: "You have already reviewed this booking",
+          });
+        }
+        throw error;
+      }
+
+      await refreshRatings(review);
+      await notify("review.received", booking.vendorEmail, { booking, review });
+
+      res.status(201).json({
+        success: true,
+        message: "Thanks for your review",
+        data: review,
       });
+    } catch (error) {
+      console.error("❌ Review error:", error);
+      res.status(500).json({ success: false, message: error.message });
     }
+  }
+);
 
-    await roleRequestsCollection.deleteOne({
-      _id: new ObjectId(req.params.requestId),
+// GET visible reviews of a ticket (ticketId) or vendor (vendorId), with the
+// same rating summary the aggregates store. sortBy: newest, highest, lowest.
+app.get("/api/reviews", async (req, res) => {
+  try {
+    const { ticketId, vendorId, sortBy } = req.query;
+    if (!ticketId === !vendorId) {
+      return sendBadRequest(res, "Pass either ticketId or vendorId");
+    }
+    if (sortBy && !REVIEW_SORTS[sortBy]) {
+      return sendBadRequest(
+        res,
+        `Invalid sortBy. Must be one of: ${Object.keys(REVIEW_SORTS).join(", ")}`
+      );
+    }
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const match = ticketId
+      ? { ticketId: String(ticketId) }
+      : { vendorId: String(vendorId) };
+    const filter = { ...match, status: "visible" };
+
+    const [reviews, total, summary] = await Promise.all([
+      reviewsCollection
+        .find(filter)
+        .sort(REVIEW_SORTS[sortBy || "newest"])
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      reviewsCollection.countDocuments(filter),
+      ratingSummary(match),
+    ]);
+
+    res.json({
+      success: true,
+      data: reviews.map(publicReview),
+      summary,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
     });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// PUT the vendor's reply to a review of one of their tickets (replaces any
+// earlier reply)
+app.put(
+  "/api/reviews/:id/reply",
+  verifyToken,
+  verifyVendor,
+  validateBody(reviewReplySchema),
+  async (req, res) => {
+    try {
+      const review = await reviewsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!review) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Review not found" });
+      }
+      const ticket = await ticketsCollection.findOne({
+        _id: new ObjectId(review.ticketId),
+      });
+      const ownsReview = ticket
+        ? isTicketOwner(ticket, req.user)
+        : review.vendorEmail === req.user.email;
+      if (req.user.role !== "admin" && !ownsReview) {
+        return sendForbidden(res, "Forbidden: this review is not about your trip");
+      }
+
+      const reply = {
+        text: req.body.text,
+        by: req.user.email,
+        at: new Date(),
+      };
+      const updated = await reviewsCollection.findOneAndUpdate(
+        { _id: review._id },
+        { $set: { reply, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+
+      if (!review.reply) {
+        await notify("review.replied", review.userEmail, {
+          review: updated,
+          booking: { _id: review.bookingId, ticketId: review.ticketId },
+        });
+      }
 
-    res.json({
-      success: true,
-      message: "Request cancelled successfully",
-    });
-  } catch (error) {
-    console.error("Error cancelling request:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+      res.json({
+        success: true,
+        message: "Reply saved",
+        data: updated,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
   }
-});
+);
 
 //  
-// BOOKING ROUTES (PROTECTED)
+// WAITLIST
+// Users join a sold-out ticket's waitlist for a number of seats (on a
+// segment, for route tickets). Whenever seats return to a ticket (any
+// releaseSeatHold, or a capacity increase) the oldest waiting entries that
+// fit get an offer: the seats are held for WAITLIST_OFFER_MINUTES under a
+// booking id reserved in advance, which POST /api/bookings picks up. An
+// offer that expires or is declined releases its hold, which passes the
+// seats on to the next entry.
 //  
+const WAITLIST_OFFER_MINUTES =
+  Number(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+const sameLegs = (a, b) =>
+  (a?.start ?? null) === (b?.start ?? null) &&
+  (a?.end ?? null) === (b?.end ?? null);
+
+// 1-based place among the ticket's waiting entries
+async function waitlistPosition(entry) {
+  const ahead = await waitlistCollection.countDocuments({
+    ticketId: entry.ticketId,
+    status: "waiting",
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+}
 
-// POST create booking
-// FIXED: POST create booking - Update this in your index.js
-// POST a new booking 
-// POST a new booking - FULLY FIXED & ROBUST
-app.post("/api/bookings", verifyToken, async (req, res) => {
-  try {
-    const { ticketId, bookingQuantity = 1, ...otherData } = req.body;
-    const buyerEmail = req.tokenEmail; // From Firebase JWT
+// Holds seats for a waiting entry. Returns false if they're gone or another
+// sweep offered the entry first.
+async function makeWaitlistOffer(entry, ticket) {
+  const bookingId = new ObjectId();
+  const expiresAt = holdExpiry(WAITLIST_OFFER_MINUTES);
+
+  const claimed = await waitlistCollection.findOneAndUpdate(
+    { _id: entry._id, status: "waiting" },
+    {
+      $set: {
+        status: "offered",
+        offer: {
+          bookingId: bookingId.toString(),
+          offeredAt: new Date(),
+          expiresAt,
+        },
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: "after" }
+  );
+  if (!claimed) return false;
+
+  const hold = await placeSeatHold(
+    ticket._id,
+    bookingId,
+    entry.quantity,
+    entry.userEmail,
+    entry.legs,
+    expiresAt
+  );
+  if (!hold) {
+    await waitlistCollection.updateOne(
+      { _id: entry._id, status: "offered" },
+      { $set: { status: "waiting", offer: null, updatedAt: new Date() } }
+    );
+    return false;
+  }
 
-    if (!ticketId) {
-      return res.status(400).json({
-        success: false,
-        message: "ticketId is required",
-      });
-    }
+  await notify("waitlist.offered", entry.userEmail, { entry: claimed, ticket });
+  publishEvent(userChannel(entry.userEmail), "waitlist.offered", {
+    waitlistId: entry._id.toString(),
+    ticketId: entry.ticketId,
+    quantity: entry.quantity,
+    expiresAt,
+  });
+  return true;
+}
 
-    // Fetch ticket with approved status
-    const ticket = await ticketsCollection.findOne({
+// Offers a ticket's free seats to its waitlist, oldest entry first, skipping
+// entries that want more seats than are free. Never throws: it runs as a
+// side effect of releasing seats.
+async function offerWaitlistedSeats(ticketId) {
+  try {
+    const waiting = await waitlistCollection
+      .find({ ticketId: ticketId.toString(), status: "waiting" })
+      .sort({ createdAt: 1 })
+      .toArray();
+    if (waiting.length === 0) return;
+
+    let ticket = await ticketsCollection.findOne({
       _id: new ObjectId(ticketId),
-      status: "approved", // Change to "accepted" if you prefer that spelling
     });
+    if (!ticket || ticket.status !== "approved") return;
+
+    for (const entry of waiting) {
+      // A full leg doesn't stop offers on route segments that avoid it
+      if (!ticket.route && availableSeats(ticket) === 0) break;
+      if (availableSeats(ticket, entry.legs) < entry.quantity) continue;
+      if (await makeWaitlistOffer(entry, ticket)) {
+        ticket = await ticketsCollection.findOne({ _id: ticket._id });
+      }
+    }
+  } catch (error) {
+    console.error("❌ Waitlist offer failed:", ticketId.toString(), error);
+  }
+}
 
-    if (!ticket) {
-      return res.status(404).json({
-        success: false,
-        message: "Ticket not found or not available for booking.",
-      });
+// Called by the hold sweeper before it releases an offer's lapsed hold
+async function expireWaitlistOffer(bookingId) {
+  await waitlistCollection.updateOne(
+    { "offer.bookingId": bookingId.toString(), status: "offered" },
+    {
+      $set: {
+        status: "expired",
+        active: false,
+        expiredAt: new Date(),
+        updatedAt: new Date(),
+      },
     }
+  );
+}
 
-    // Safely convert price and quantity to numbers
-    const ticketPrice = Number(ticket.price);
-    const currentQuantity = Number(ticket.ticketQuantity) || 0;
-    const requestedQuantity = Number(bookingQuantity);
+// Used by POST /api/bookings. Returns {} when the buyer has no offer for the
+// ticket, { error } when the booking doesn't match it or is already being
+// made, or the reserved { bookingId, hold, entry } to book with. The entry
+// stays "offered" (claimed by offer.claimedAt) until the booking is stored:
+// then completeWaitlistOffer marks it booked, while returnWaitlistOffer hands
+// it back if the booking fails.
+async function claimWaitlistOffer(ticketId, userEmail, quantity, legs) {
+  const entry = await waitlistCollection.findOne({
+    ticketId: ticketId.toString(),
+    userEmail,
+    status: "offered",
+  });
+  if (!entry) return {};
 
-    if (isNaN(ticketPrice) || ticketPrice < 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid ticket price",
-      });
-    }
+  if (entry.quantity !== quantity || !sameLegs(entry.legs, legs)) {
+    const segment = entry.legs ? ` from ${entry.fromStop} to ${entry.toStop}` : "";
+    return {
+      error: `You have a waitlist offer for ${entry.quantity} seat(s)${segment}. Book exactly that, or leave the waitlist first.`,
+    };
+  }
 
-    if (isNaN(currentQuantity) || currentQuantity < 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid available ticket quantity on the ticket",
-      });
-    }
+  const claimed = await waitlistCollection.findOneAndUpdate(
+    { _id: entry._id, status: "offered", "offer.claimedAt": null },
+    { $set: { "offer.claimedAt": new Date(), updatedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+  if (!claimed) {
+    return { error: "Your waitlist offer is already being booked" };
+  }
 
-    if (currentQuantity < requestedQuantity) {
-      return res.status(400).json({
-        success: false,
-        message: `Only ${currentQuantity} ticket(s) available. Cannot book ${requestedQuantity}.`,
-      });
+  // Keep the seats while the booking is made
+  const bookingId = new ObjectId(entry.offer.bookingId);
+  await extendSeatHold(bookingId);
+  const hold = await seatHoldsCollection.findOne({
+    bookingId: bookingId.toString(),
+    status: "held",
+  });
+  if (!hold) {
+    // The offer lapsed a moment ago: book like anyone else
+    await waitlistCollection.updateOne(
+      { _id: entry._id, status: "offered" },
+      { $unset: { "offer.claimedAt": "" } }
+    );
+    return {};
+  }
+  return { bookingId, hold, entry: claimed };
+}
+
+// The booking made from a claimed offer is stored
+async function completeWaitlistOffer(entry) {
+  await waitlistCollection.updateOne(
+    { _id: entry._id, status: "offered" },
+    {
+      $set: {
+        status: "booked",
+        active: false,
+        bookedAt: new Date(),
+        updatedAt: new Date(),
+      },
     }
+  );
+}
 
-    const totalPrice = ticketPrice * requestedQuantity;
+// Hands a claimed offer back after its booking failed: any seats the attempt
+// picked are freed, and the hold shrinks back to the offer's expiry
+async function returnWaitlistOffer(entry) {
+  const { bookingId, expiresAt } = entry.offer;
+  await releaseSeats(bookingId);
+  await seatHoldsCollection.updateOne(
+    { bookingId, status: "held" },
+    { $set: { expiresAt, updatedAt: new Date() } }
+  );
+  await waitlistCollection.updateOne(
+    { _id: entry._id, status: "offered" },
+    { $unset: { "offer.claimedAt": "" }, $set: { updatedAt: new Date() } }
+  );
+}
 
-    // Build the new booking with guaranteed number types
-    const newBooking = {
-      ...otherData,
+// POST join a sold-out ticket's waitlist
+app.post(
+  "/api/tickets/:id/waitlist",
+  verifyToken,
+  requireRole(),
+  validateBody(waitlistSchema),
+  async (req, res) => {
+    try {
+      const { quantity = 1, fromStop, toStop } = req.body;
+      const ticket = await ticketsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+        status: "approved",
+      });
+      if (!ticket) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Ticket not found" });
+      }
 
-      // Core booking info
-      ticketId: ticket._id.toString(),
-      ticketTitle: ticket.title,
-      from: ticket.from,
-      to: ticket.to,
-      transportType: ticket.transportType,
+      let legs = null;
+      if (ticket.route) {
+        legs = resolveSegment(ticket, fromStop, toStop);
+        if (!legs) {
+          return sendBadRequest(
+            res,
+            `This ticket doesn't travel from ${fromStop || ticket.from} to ${toStop || ticket.to}`
+          );
+        }
+      }
 
-      // Pricing & Quantity - Safe numbers
-      price: ticketPrice,
-      bookingQuantity: requestedQuantity,
-      totalPrice: totalPrice,
+      const available = availableSeats(ticket, legs);
+      if (available >= quantity) {
+        return res.status(409).json({
+          success: false,
+          message: `${available} seat(s) are available; book them directly`,
+        });
+      }
 
-      // Vendor info
-      vendorId: ticket.vendorId,
-      vendorEmail: ticket.vendorEmail,
-      vendorName: ticket.vendorName || "Unknown Vendor",
+      const entry = {
+        ticketId: ticket._id.toString(),
+        ticketTitle: ticket.title,
+        userEmail: req.user.email,
+        quantity,
+        legs,
+        fromStop: legs ? ticket.route.stops[legs.start].name : ticket.from,
+        toStop: legs ? ticket.route.stops[legs.end].name : ticket.to,
+        status: "waiting",
+        // One active entry per user and ticket (unique partial index)
+        active: true,
+        offer: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
 
-      // Buyer info
-      userEmail: buyerEmail,
+      try {
+        await waitlistCollection.insertOne(entry);
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: "You are already on this ticket's waitlist",
+          });
+        }
+        throw error;
+      }
 
-      // Travel details
-      departureDate: ticket.departureDate,
-      departureTime: ticket.departureTime,
+      // Seats may have come back since the check above
+      await offerWaitlistedSeats(ticket._id);
+      const current = await waitlistCollection.findOne({ _id: entry._id });
 
-      // Status & timestamps
-      status: "pending",
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
+      res.status(201).json({
+        success: true,
+        message:
+          current.status === "offered"
+            ? "Seats are available now and reserved for you"
+            : "You've joined the waitlist",
+        data: {
+          ...current,
+          position:
+            current.status === "waiting" ? await waitlistPosition(current) : null,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Waitlist join error:", error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
 
-    // Insert the booking first
-    const result = await bookingCollection.insertOne(newBooking);
+// GET the caller's waitlist entries, newest first, with their position in
+// line while waiting
+app.get("/api/waitlist/me", verifyToken, async (req, res) => {
+  try {
+    const entries = await waitlistCollection
+      .find({ userEmail: req.tokenEmail })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .toArray();
 
-    // Now safely decrement ticket quantity (using converted number)
-    await ticketsCollection.updateOne(
-      { _id: ticket._id },
-      { 
-        $inc: { ticketQuantity: -requestedQuantity },
-        $set: { updatedAt: new Date() } // Optional: update timestamp
-      }
+    const data = await Promise.all(
+      entries.map(async (entry) => ({
+        ...entry,
+        position:
+          entry.status === "waiting" ? await waitlistPosition(entry) : null,
+      }))
     );
 
-    // Success response
-    res.json({
-      success: true,
-      message: "Booking request sent successfully!",
-      bookingId: result.insertedId,
-      data: {
-        _id: result.insertedId,
-        ...newBooking,
-      },
-    });
+    res.json({ success: true, data });
   } catch (error) {
-    console.error("❌ Error creating booking:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create booking",
-      error: error.message || "Unknown server error",
-    });
+    res.status(500).json({ success: false, message: error.message });
   }
 });
-// FIXED: GET user's bookings - Update this in your index.js
-app.get("/api/bookings/user", verifyToken, async (req, res) => {
-  try {
-    // 1. Get the email directly from the verified token
-    const buyerEmail = req.tokenEmail;
-
-    console.log("🔍 Fetching bookings for buyer:", buyerEmail);
 
-    // 2. Query by userEmail (which we just added to the POST route)
-    // We also check for 'userId' as a fallback just in case old data exists
-    const bookings = await bookingCollection
-      .find({
-        $or: [
-          { userEmail: buyerEmail },
-          { customerEmail: buyerEmail }, // Some stripe setups use this field
-        ],
-      })
-      .sort({ createdAt: -1 })
-      .toArray();
+// DELETE leave a waitlist, declining any open offer
+app.delete("/api/waitlist/:id", verifyToken, async (req, res) => {
+  try {
+    const entry = await waitlistCollection.findOneAndUpdate(
+      {
+        _id: new ObjectId(req.params.id),
+        userEmail: req.tokenEmail,
+        status: { $in: ["waiting", "offered"] },
+      },
+      {
+        $set: {
+          status: "cancelled",
+          active: false,
+          cancelledAt: new Date(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Waitlist entry not found" });
+    }
 
-    console.log(`✅ Found ${bookings.length} bookings for user`);
+    // Releasing the offer's hold offers the seats to the next in line
+    if (entry.status === "offered") {
+      await releaseSeatHold(
+        {
+          _id: entry.offer.bookingId,
+          ticketId: entry.ticketId,
+          holdExpiresAt: entry.offer.expiresAt,
+        },
+        "waitlist_declined"
+      );
+    }
 
-    res.json({
-      success: true,
-      data: bookings,
-    });
+    res.json({ success: true, message: "You've left the waitlist" });
   } catch (error) {
-    console.error("❌ Get user bookings error:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+    res.status(500).json({ success: false, message: error.message });
   }
 });
-// GET bookings for the authenticated vendor (convenience endpoint)
-app.get("/api/bookings/vendor/me", verifyToken, async (req, res) => {
-  try {
-    const vendorEmail = req.tokenEmail;
 
-    // 1. Find all tickets that belong to you
-    const myTickets = await ticketsCollection
-      .find({ vendorEmail: vendorEmail })
-      .project({ _id: 1 })
-      .toArray();
+//  
+// SCHEDULES
+// A schedule is a vendor's recurring trip: a ticket template plus a
+// recurrence (daily, weekdays, or weekly on chosen days) from startDate to
+// an optional endDate. Once an admin approves it, its dates are generated as
+// ordinary approved tickets (tagged scheduleId + scheduleDate) up to
+// horizonDays ahead, by the hourly sweep and right after every change.
+// Generated tickets are independent: template edits only shape dates not
+// generated yet, and editing the template sends the schedule back for
+// approval. Date exceptions skip a date or change its price, departure time
+// or capacity, including on a ticket that already exists.
+//  
+const SCHEDULE_HORIZON_DAYS = Number(process.env.SCHEDULE_HORIZON_DAYS) || 14;
+const SCHEDULE_SWEEP_MS = 60 * 60 * 1000;
+
+// Schedule settings outside the ticket template
+const SCHEDULE_FIELDS = [
+  "frequency",
+  "days",
+  "startDate",
+  "endDate",
+  "horizonDays",
+  "active",
+];
+
+// Template fields a date exception may override
+const SCHEDULE_DATE_FIELDS = ["price", "departureTime", "ticketQuantity"];
+
+// Dates are "YYYY-MM-DD" strings in UTC, like departureDate
+const utcToday = () => new Date().toISOString().slice(0, 10);
+
+function shiftDay(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
 
-    // 2. Extract the IDs as strings and ObjectIds (for safety)
-    const myTicketIds = myTickets.map((t) => t._id.toString());
+function runsOn(schedule, day) {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  if (schedule.frequency === "weekdays") return weekday >= 1 && weekday <= 5;
+  if (schedule.frequency === "weekly") return schedule.days.includes(weekday);
+  return true;
+}
 
-    // 3. Find bookings that match your ticket IDs
-    // This works even if the booking document doesn't have 'vendorEmail'
-    const bookings = await bookingCollection
-      .find({
-        $or: [
-          { ticketId: { $in: myTicketIds } },
-          { vendorEmail: vendorEmail }, // Keep this for future-proofing
-        ],
-      })
-      .sort({ createdAt: -1 })
-      .toArray();
+// Dates the schedule runs on between from and to (inclusive), skipped ones too
+function scheduleDates(schedule, from, to) {
+  const first = from > schedule.startDate ? from : schedule.startDate;
+  const last =
+    schedule.endDate && schedule.endDate < to ? schedule.endDate : to;
+  const dates = [];
+  for (let day = first; day <= last; day = shiftDay(day, 1)) {
+    if (runsOn(schedule, day)) dates.push(day);
+  }
+  return dates;
+}
 
-    res.json({ success: true, data: bookings });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+const scheduleHorizon = (schedule) =>
+  shiftDay(utcToday(), schedule.horizonDays || SCHEDULE_HORIZON_DAYS);
+
+// Checks a new or edited schedule's recurrence and sorts its weekdays in
+// place. Returns an error message or null.
+function normalizeRecurrence(schedule) {
+  if (schedule.frequency === "weekly") {
+    if (!schedule.days?.length) {
+      return "days must list at least one weekday for a weekly schedule";
+    }
+    schedule.days = [...new Set(schedule.days)].sort((a, b) => a - b);
+  } else {
+    schedule.days = null;
+  }
+  if (schedule.endDate && schedule.endDate < schedule.startDate) {
+    return "endDate can't be before startDate";
+  }
+  return null;
+}
+
+// Overrides that don't fit the template. Returns an error message or null.
+function scheduleDateError(schedule, overrides) {
+  const { route, seatLayout } = schedule.template;
+  if (route && (overrides.price !== undefined || overrides.departureTime)) {
+    return "Price and departure time of a route schedule follow its stops";
+  }
+  if (seatLayout && overrides.ticketQuantity !== undefined) {
+    return "Capacity of a seat-map schedule is set by its seat layout";
   }
+  return null;
+}
+
+// The ticket a schedule generates for `date`
+const scheduleTicket = (schedule, date) => ({
+  ...schedule.template,
+  ...schedule.exceptions?.[date]?.overrides,
+  departureDate: date,
+  vendorId: schedule.vendorId,
+  vendorName: schedule.vendorName,
+  vendorEmail: schedule.vendorEmail,
+  status: "approved",
+  isAdvertised: false,
+  createdAt: new Date(),
+  updatedAt: new Date(),
 });
-// GET bookings for vendor's tickets
-app.get("/api/bookings/vendor/:vendorId", verifyToken, async (req, res) => {
-  try {
-    const vendorTickets = await ticketsCollection
-      .find({ vendorId: req.params.vendorId })
-      .project({ _id: 1 })
-      .toArray();
 
-    const ticketIds = vendorTickets.map((t) => t._id.toString());
+const findScheduleTicket = (schedule, date) =>
+  ticketsCollection.findOne({
+    scheduleId: schedule._id.toString(),
+    scheduleDate: date,
+  });
 
-    const bookings = await bookingCollection
-      .find({ ticketId: { $in: ticketIds } })
-      .sort({ createdAt: -1 })
-      .toArray();
+const committedSeats = (ticket) =>
+  ticketCapacity(ticket) - availableSeats(ticket);
 
-    res.json({ success: true, data: bookings });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+// Filter matching only tickets with no seat held or sold (on any leg)
+const UNBOOKED_TICKET = {
+  heldQuantity: { $not: { $gt: 0 } },
+  soldQuantity: { $not: { $gt: 0 } },
+  legHeld: { $not: { $gt: 0 } },
+  legSold: { $not: { $gt: 0 } },
+};
+
+// Deletes a generated ticket unless seats on it are taken. The check is part
+// of the delete filter, so a hold placed meanwhile makes it fail instead of
+// leaving a booking on a deleted ticket. Its waitlist is cancelled.
+// Returns whether the ticket was deleted.
+async function removeScheduleTicket(ticket) {
+  const { deletedCount } = await ticketsCollection.deleteOne({
+    _id: ticket._id,
+    ...UNBOOKED_TICKET,
+  });
+  if (deletedCount === 0) return false;
+
+  // Nothing is held, so no entry has an open offer
+  await waitlistCollection.updateMany(
+    { ticketId: ticket._id.toString(), status: "waiting" },
+    {
+      $set: {
+        status: "cancelled",
+        active: false,
+        cancelledAt: new Date(),
+        updatedAt: new Date(),
+      },
+    }
+  );
+  return true;
+}
+
+// Generates the schedule's missing tickets up to its horizon. The upsert is
+// keyed on (scheduleId, scheduleDate), so reruns and concurrent sweeps are
+// safe and existing tickets are never overwritten. Returns how many were
+// created.
+async function materializeSchedule(schedule) {
+  if (schedule.status !== "approved" || schedule.active === false) return 0;
+
+  const scheduleId = schedule._id.toString();
+  const dates = scheduleDates(schedule, utcToday(), scheduleHorizon(schedule));
+  let created = 0;
+  for (const date of dates) {
+    if (schedule.exceptions?.[date]?.skip) continue;
+    try {
+      const result = await ticketsCollection.updateOne(
+        { scheduleId, scheduleDate: date },
+        { $setOnInsert: scheduleTicket(schedule, date) },
+        { upsert: true }
+      );
+      created += result.upsertedCount;
+    } catch (error) {
+      // Another sweep generated this date first
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return created;
+}
+
+// Sweep over every running schedule; one failing schedule doesn't stop the rest
+async function materializeSchedules() {
+  // A flagged vendor's schedules are rejected with their tickets; skipping
+  // them here also covers any approved before the flag
+  const flaggedVendorIds = (
+    await usersCollection
+      .find({ isFraud: true }, { projection: { _id: 1 } })
+      .toArray()
+  ).map((user) => user._id.toString());
+
+  const schedules = await schedulesCollection
+    .find({
+      status: "approved",
+      active: { $ne: false },
+      vendorId: { $nin: flaggedVendorIds },
+      $or: [{ endDate: null }, { endDate: { $gte: utcToday() } }],
+    })
+    .toArray();
+
+  for (const schedule of schedules) {
+    try {
+      await materializeSchedule(schedule);
+    } catch (error) {
+      console.error(
+        "❌ Schedule materialization failed:",
+        schedule._id.toString(),
+        error
+      );
+    }
+  }
+}
+
+// Applies template-field changes to the ticket already generated for `date`,
+// with the capacity check of PUT /api/tickets/:id. Returns { ticket } (null
+// if the date isn't generated yet) or { error }.
+async function updateScheduleTicket(schedule, date, changes) {
+  const ticket = await findScheduleTicket(schedule, date);
+  if (!ticket) return { ticket: null };
+
+  const committed = committedSeats(ticket);
+  if (
+    changes.ticketQuantity !== undefined &&
+    changes.ticketQuantity < committed
+  ) {
+    return {
+      error: `ticketQuantity cannot be lower than the ${committed} seat(s) already booked`,
+    };
   }
-});
 
-// PUT update booking status
-app.put("/api/bookings/:id/status", verifyToken, async (req, res) => {
+  const updated = await ticketsCollection.findOneAndUpdate(
+    { _id: ticket._id },
+    { $set: { ...changes, updatedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+  if (updated && changes.ticketQuantity !== undefined) {
+    publishSeatAvailability(updated._id);
+    await offerWaitlistedSeats(updated._id);
+  }
+  return { ticket: updated };
+}
+
+// Loads req.params.id into req.schedule and allows only its vendor or an
+// admin. Must run after verifyVendor.
+const verifyScheduleOwner = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    const schedule = await schedulesCollection.findOne({
+      _id: new ObjectId(req.params.id),
+    });
 
-    // Use updateOne instead of findOneAndUpdate to avoid "result.value" confusion
-    const result = await bookingCollection.updateOne(
-      { _id: new ObjectId(id) },
-      {
-        $set: {
-          status,
-          updatedAt: new Date(),
-        },
-      }
-    );
+    if (!schedule) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule not found" });
+    }
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Booking not found",
-      });
+    if (req.user.role !== "admin" && !isTicketOwner(schedule, req.user)) {
+      return sendForbidden(res, "Forbidden: you do not own this schedule");
     }
 
-    res.json({
-      success: true,
-      message: `Booking ${status} successfully`,
-    });
+    req.schedule = schedule;
+    next();
   } catch (error) {
-    console.error("Error updating booking:", error);
+    console.error("❌ verifyScheduleOwner error:", error);
     res.status(500).json({ success: false, message: error.message });
   }
-});
+};
 
-//  
-// STRIPE PAYMENT ROUTES
-//  
+// Sets req.scheduleDate from :date, which must be an upcoming date of
+// req.schedule
+const verifyScheduleDate = (req, res, next) => {
+  const { value: date, error } = coerceField(
+    { type: "date" },
+    req.params.date
+  );
+  if (error || date !== req.params.date) {
+    return sendBadRequest(res, "date must be a YYYY-MM-DD date");
+  }
+  if (date < utcToday()) {
+    return sendBadRequest(res, "This date has already passed");
+  }
+  if (scheduleDates(req.schedule, date, date).length === 0) {
+    return sendBadRequest(res, "The schedule doesn't run on this date");
+  }
+  req.scheduleDate = date;
+  next();
+};
 
-// Create Stripe checkout session
-// Verify payment and update booking
-app.post("/api/payment/verify", verifyToken, async (req, res) => {
-  try {
-    const { sessionId } = req.body;
+// POST create a schedule (vendor only). Nothing is generated until an admin
+// approves it.
+app.post(
+  "/api/schedules",
+  verifyToken,
+  verifyVendor,
+  validateBody(scheduleSchema),
+  async (req, res) => {
+    try {
+      const vendor = req.user;
 
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
+      const { fields: template, error } = await normalizeTicketFields(req.body);
+      if (error) return sendBadRequest(res, error);
 
-    if (session.payment_status === "paid") {
-      const bookingId = session.metadata.bookingId;
-      const booking = await bookingCollection.findOne({
-        _id: new ObjectId(bookingId),
+      const schedule = {
+        ...pickFields(req.body, SCHEDULE_FIELDS),
+        template,
+        vendorId: vendor._id.toString(),
+        vendorName: vendor.displayName || vendor.name || "Vendor",
+        vendorEmail: vendor.email,
+        status: "pending",
+        active: req.body.active ?? true,
+        exceptions: {},
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      const recurrenceError = normalizeRecurrence(schedule);
+      if (recurrenceError) return sendBadRequest(res, recurrenceError);
+
+      const result = await schedulesCollection.insertOne(schedule);
+
+      res.status(201).json({
+        success: true,
+        message: "Schedule created. Waiting for admin approval.",
+        data: { ...schedule, _id: result.insertedId },
       });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
 
-      if (!booking) {
-        return res
-          .status(404)
-          .json({ success: false, message: "Booking not found" });
-      }
+// GET the vendor's schedules, or every schedule for admins (?status filter)
+app.get("/api/schedules", verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const query =
+      req.user.role === "admin"
+        ? {}
+        : {
+            $or: [
+              { vendorEmail: req.user.email },
+              { vendorId: req.user._id.toString() },
+            ],
+          };
+    if (req.query.status) query.status = String(req.query.status);
+
+    const schedules = await schedulesCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .toArray();
 
-      // If already processed, return early
-      if (booking.status === "paid") {
-        return res
-          .status(200)
-          .json({ success: true, message: "Payment already processed" });
-      }
+    res.json({ success: true, data: schedules });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-      // Attempt to atomically decrement ticket quantity only if enough seats are available
-      const ticketUpdate = await ticketsCollection.findOneAndUpdate(
-        {
-          _id: new ObjectId(booking.ticketId),
-          ticketQuantity: { $gte: booking.bookingQuantity },
-        },
-        { $inc: { ticketQuantity: -booking.bookingQuantity } },
-        { returnDocument: "after" }
+// GET one schedule with its calendar up to the horizon: each date, whether
+// it's skipped or overridden, and the ticket generated for it
+app.get(
+  "/api/schedules/:id",
+  verifyToken,
+  verifyVendor,
+  verifyScheduleOwner,
+  async (req, res) => {
+    try {
+      const { schedule } = req;
+      const today = utcToday();
+
+      const tickets = await ticketsCollection
+        .find({
+          scheduleId: schedule._id.toString(),
+          scheduleDate: { $gte: today },
+        })
+        .toArray();
+      const ticketsByDate = new Map(
+        tickets.map((ticket) => [ticket.scheduleDate, ticket])
       );
 
-      if (!ticketUpdate.value) {
-        // Insufficient seats: record failed transaction and mark booking for review
-        await transactionsCollection.insertOne({
-          transactionId: session.payment_intent || null,
-          userId: booking.userId,
-          bookingId: bookingId,
-          ticketTitle: booking.ticketTitle,
-          amount: booking.totalPrice,
-          paymentDate: new Date(),
-          paymentMethod: "card",
-          status: "failed",
-          note: "Insufficient tickets to fulfill booking",
-          createdAt: new Date(),
-        });
+      const calendar = scheduleDates(
+        schedule,
+        today,
+        scheduleHorizon(schedule)
+      ).map((date) => {
+        const exception = schedule.exceptions?.[date];
+        const ticket = ticketsByDate.get(date);
+        return {
+          date,
+          skipped: Boolean(exception?.skip),
+          overrides: exception?.overrides || null,
+          ticket: ticket ? presentTicket(ticket) : null,
+        };
+      });
 
-        await bookingCollection.updateOne(
-          { _id: new ObjectId(bookingId) },
-          {
-            $set: {
-              status: "payment_failed",
-              transactionId: session.payment_intent || null,
-              paymentDate: new Date(),
-              updatedAt: new Date(),
-            },
-          }
-        );
+      res.json({ success: true, data: { ...schedule, calendar } });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
 
-        return res.status(409).json({
-          success: false,
-          message:
-            "Payment completed but not enough tickets are available to fulfill booking. Support will contact you for next steps.",
+// PUT update a schedule. Template changes apply to dates not generated yet
+// and need a new approval; recurrence, dates, horizon and active don't.
+app.put(
+  "/api/schedules/:id",
+  verifyToken,
+  verifyVendor,
+  verifyScheduleOwner,
+  validateBody(scheduleSchema, { partial: true }),
+  async (req, res) => {
+    try {
+      const { schedule } = req;
+      const templateUpdate = pickFields(req.body, [
+        ...VENDOR_TICKET_FIELDS,
+        "route",
+        "seatLayout",
+        "pricingRules",
+      ]);
+      const templateChanged = Object.keys(templateUpdate).length > 0;
+
+      let { template } = schedule;
+      if (templateChanged) {
+        if (
+          template.seatLayout &&
+          !templateUpdate.seatLayout &&
+          templateUpdate.ticketQuantity !== undefined
+        ) {
+          return sendBadRequest(
+            res,
+            "Capacity of a seat-map schedule is set by its seat layout"
+          );
+        }
+        const { fields, error } = await normalizeTicketFields({
+          currency: template.currency,
+          ...templateUpdate,
         });
+        if (error) return sendBadRequest(res, error);
+        if (template.route && !templateUpdate.route) {
+          // from/to/price of a route schedule follow its stops
+          delete fields.from;
+          delete fields.to;
+          delete fields.price;
+        }
+        template = { ...template, ...fields };
       }
 
-      // Update booking to paid
-      await bookingCollection.updateOne(
-        { _id: new ObjectId(bookingId) },
-        {
-          $set: {
-            status: "paid",
-            transactionId: session.payment_intent,
-            paymentDate: new Date(),
-            updatedAt: new Date(),
-          },
-        }
+      const updates = {
+        ...pickFields(schedule, SCHEDULE_FIELDS),
+        ...pickFields(req.body, SCHEDULE_FIELDS),
+      };
+      const recurrenceError = normalizeRecurrence(updates);
+      if (recurrenceError) return sendBadRequest(res, recurrenceError);
+
+      // Admins edit on the spot; a vendor's new template is reviewed again
+      const status =
+        templateChanged && req.user.role !== "admin"
+          ? "pending"
+          : schedule.status;
+
+      const updated = await schedulesCollection.findOneAndUpdate(
+        { _id: schedule._id },
+        { $set: { ...updates, template, status, updatedAt: new Date() } },
+        { returnDocument: "after" }
       );
-
-      // Create transaction record
-      await transactionsCollection.insertOne({
-        transactionId: session.payment_intent,
-        userId: booking.userId,
-        bookingId: bookingId,
-        ticketTitle: booking.ticketTitle,
-        amount: booking.totalPrice,
-        paymentDate: new Date(),
-        paymentMethod: "card",
-        status: "completed",
-        createdAt: new Date(),
-      });
+      if (!updated) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Schedule not found" });
+      }
+      await materializeSchedule(updated);
 
       res.json({
         success: true,
-        message: "Payment verified successfully",
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: "Payment not completed",
+        message:
+          status === "pending" && schedule.status !== "pending"
+            ? "Schedule updated. Waiting for admin approval."
+            : "Schedule updated",
+        data: updated,
       });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
     }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
   }
-});
-// CREATE STRIPE CHECKOUT SESSION
-app.post("/api/payment/create-session", verifyToken, async (req, res) => {
-  try {
-    const { bookingId } = req.body;
-
-    if (!bookingId) {
-      return res.status(400).json({ success: false, message: "bookingId is required" });
-    }
+);
 
-    // Fetch booking and validate ownership + status
-    const booking = await bookingCollection.findOne({
-      _id: new ObjectId(bookingId),
-      userEmail: req.tokenEmail, // Security: user can only pay for their own booking
-      status: "accepted",        // Only pay if vendor approved
-    });
+// DELETE a schedule with its upcoming unbooked tickets. Tickets with
+// bookings stay on sale as standalone tickets.
+app.delete(
+  "/api/schedules/:id",
+  verifyToken,
+  verifyVendor,
+  verifyScheduleOwner,
+  async (req, res) => {
+    try {
+      const { schedule } = req;
+      await schedulesCollection.deleteOne({ _id: schedule._id });
+
+      const upcoming = await ticketsCollection
+        .find({
+          scheduleId: schedule._id.toString(),
+          scheduleDate: { $gte: utcToday() },
+        })
+        .toArray();
+      let ticketsRemoved = 0;
+      for (const ticket of upcoming) {
+        if (await removeScheduleTicket(ticket)) ticketsRemoved++;
+      }
 
-    if (!booking) {
-      return res.status(400).json({
-        success: false,
-        message: "Booking not found or not approved for payment yet",
+      res.json({
+        success: true,
+        message: "Schedule deleted",
+        data: {
+          ticketsRemoved,
+          ticketsKept: upcoming.length - ticketsRemoved,
+        },
       });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
     }
+  }
+);
 
-    if (booking.status === "paid") {
-      return res.status(400).json({
-        success: false,
-        message: "This booking is already paid",
-      });
-    }
+// PUT an exception for one date: { skip: true } drops it from the series,
+// otherwise price/departureTime/ticketQuantity override the template for
+// that date (merged with earlier overrides). A ticket already generated for
+// the date is removed or updated; skipping fails once seats are booked.
+app.put(
+  "/api/schedules/:id/dates/:date",
+  verifyToken,
+  verifyVendor,
+  verifyScheduleOwner,
+  verifyScheduleDate,
+  validateBody(scheduleDateSchema, { partial: true }),
+  async (req, res) => {
+    try {
+      const { schedule, scheduleDate: date } = req;
+      let exception;
+      let ticket = null;
+
+      if (req.body.skip) {
+        const existing = await findScheduleTicket(schedule, date);
+        if (existing && !(await removeScheduleTicket(existing))) {
+          // Gone already, or seats were taken since it was read
+          const latest = await findScheduleTicket(schedule, date);
+          if (latest) {
+            return res.status(409).json({
+              success: false,
+              message: `${committedSeats(latest)} seat(s) are already booked on ${date}. Cancel those bookings before skipping it.`,
+            });
+          }
+        }
+        exception = { skip: true, updatedAt: new Date() };
+      } else {
+        const overrides = pickFields(req.body, SCHEDULE_DATE_FIELDS);
+        if (Object.keys(overrides).length === 0) {
+          return sendBadRequest(
+            res,
+            `Send skip: true or any of ${SCHEDULE_DATE_FIELDS.join(", ")}`
+          );
+        }
+        const overrideError = scheduleDateError(schedule, overrides);
+        if (overrideError) return sendBadRequest(res, overrideError);
+
+        const result = await updateScheduleTicket(schedule, date, overrides);
+        if (result.error) return sendBadRequest(res, result.error);
+        ticket = result.ticket;
+        exception = {
+          overrides: {
+            ...schedule.exceptions?.[date]?.overrides,
+            ...overrides,
+          },
+          updatedAt: new Date(),
+        };
+      }
 
-    // Create Stripe Checkout Session
-    const session = await stripeClient.checkout.sessions.create({
-      payment_method_types: ["card"],
-      line_items: [
+      const updated = await schedulesCollection.findOneAndUpdate(
+        { _id: schedule._id },
         {
-          price_data: {
-            currency: "bdt",
-            product_data: {
-              name: booking.ticketTitle,
-              description: `${booking.from} → ${booking.to} | ${booking.departureDate} at ${booking.departureTime} | ${booking.bookingQuantity} ticket(s)`,
-            },
-            unit_amount: Math.round(booking.totalPrice * 100), // BDT in paisa
-          },
-          quantity: 1,
+          $set: { [`exceptions.${date}`]: exception, updatedAt: new Date() },
         },
-      ],
-      mode: "payment",
-      success_url: `${process.env.CLIENT_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.CLIENT_URL}/payment/cancel`,
-      metadata: {
-        bookingId: booking._id.toString(),
-        userEmail: req.tokenEmail,
-      },
-    });
-
-    res.json({ url: session.url });
-  } catch (error) {
-    console.error("❌ Stripe session creation error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create payment session",
-      error: error.message,
-    });
-  }
-});
-// GET user's transactions
-app.get("/api/transactions/user/:userId", verifyToken, async (req, res) => {
-  try {
-    // Ensure authenticated user is requesting their own transactions
-    const authUser = await usersCollection.findOne({ email: req.tokenEmail });
-    if (!authUser) {
-      return res
-        .status(404)
-        .json({ success: false, message: "User not found" });
-    }
+        { returnDocument: "after" }
+      );
+      // A date that was skipped before comes back with its overrides
+      if (updated && !exception.skip && !ticket) {
+        await materializeSchedule(updated);
+        ticket = await findScheduleTicket(updated, date);
+      }
 
-    if (authUser._id.toString() !== req.params.userId) {
-      return res.status(403).json({
-        success: false,
-        message: "Forbidden: cannot access other user's transactions",
+      res.json({
+        success: true,
+        message: exception.skip ? `${date} skipped` : `${date} updated`,
+        data: { date, exception, ticket: ticket && presentTicket(ticket) },
       });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
     }
+  }
+);
 
-    const transactions = await transactionsCollection
-      .find({ userId: req.params.userId })
-      .sort({ paymentDate: -1 })
-      .toArray();
+// DELETE a date's exception: a skipped date is generated again and an
+// overridden one goes back to the template
+app.delete(
+  "/api/schedules/:id/dates/:date",
+  verifyToken,
+  verifyVendor,
+  verifyScheduleOwner,
+  verifyScheduleDate,
+  async (req, res) => {
+    try {
+      const { schedule, scheduleDate: date } = req;
+      const exception = schedule.exceptions?.[date];
+      if (!exception) {
+        return res.status(404).json({
+          success: false,
+          message: "This date has no exception",
+        });
+      }
 
-    res.json({ success: true, data: transactions });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+      if (exception.overrides) {
+        const restored = Object.fromEntries(
+          Object.keys(exception.overrides).map((field) => [
+            field,
+            schedule.template[field] ?? null,
+          ])
+        );
+        const { error } = await updateScheduleTicket(schedule, date, restored);
+        if (error) return sendBadRequest(res, error);
+      }
+
+      const updated = await schedulesCollection.findOneAndUpdate(
+        { _id: schedule._id },
+        {
+          $unset: { [`exceptions.${date}`]: "" },
+          $set: { updatedAt: new Date() },
+        },
+        { returnDocument: "after" }
+      );
+      if (updated) await materializeSchedule(updated);
+
+      const ticket = await findScheduleTicket(schedule, date);
+      res.json({
+        success: true,
+        message: `${date} follows the schedule again`,
+        data: { date, ticket: ticket && presentTicket(ticket) },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
   }
-});
+);
 
 //  
 // ADMIN ROUTES (PROTECTED)
 //  
 
 // GET all tickets
-app.get("/api/admin/tickets", verifyToken, async (req, res) => {
+app.get("/api/admin/tickets", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const tickets = await ticketsCollection
       .find({})
       .sort({ createdAt: -1 })
       .toArray();
 
-    res.json({ success: true, data: tickets });
+    res.json({ success: true, data: tickets.map(presentTicket) });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -1523,52 +8655,18 @@ app.get("/api/admin/tickets", verifyToken, async (req, res) => {
 app.put(
   "/api/admin/tickets/:id/status",
   verifyToken,
-
+  verifyAdmin,
+  validateBody(ticketStatusSchema),
   async (req, res) => {
     try {
       const { status } = req.body;
 
-      // Diagnostic: normalize and log id param
-      let ticketIdParam = req.params.id;
-      if (typeof ticketIdParam === "object" && ticketIdParam !== null) {
-        ticketIdParam = ticketIdParam.$oid || ticketIdParam.toString();
-      }
-      if (typeof ticketIdParam === "string")
-        ticketIdParam = ticketIdParam.trim();
-      console.log(
-        "🔍 PUT /api/admin/tickets/:id/status - id param:",
-        JSON.stringify(ticketIdParam),
-        "type:",
-        typeof ticketIdParam
-      );
-
-      // Try ObjectId lookup first, then string lookup
-      let ticketDoc = null;
-      try {
-        const docs = await ticketsCollection
-          .find({ _id: new ObjectId(ticketIdParam) })
-          .limit(1)
-          .toArray();
-        console.log("🔎 ObjectId lookup count:", docs.length);
-        ticketDoc = docs[0] || null;
-      } catch (e) {
-        console.log("⚠ Invalid ObjectId or lookup failed:", e.message);
-      }
-
-      if (!ticketDoc) {
-        const docs = await ticketsCollection
-          .find({ _id: ticketIdParam })
-          .limit(1)
-          .toArray();
-        console.log("🔎 string _id lookup count:", docs.length);
-        ticketDoc = docs[0] || null;
-      }
+      // :id validated by app.param
+      const ticketDoc = await ticketsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
 
       if (!ticketDoc) {
-        console.log(
-          "❌ Ticket not found for id:",
-          JSON.stringify(ticketIdParam)
-        );
         return res
           .status(404)
           .json({ success: false, message: "Ticket not found" });
@@ -1590,6 +8688,15 @@ app.put(
 
       const updatedDoc = await ticketsCollection.findOne(filter);
 
+      await recordAudit(req, {
+        action: "ticket.status.update",
+        target: { type: "ticket", id: ticketDoc._id, label: ticketDoc.title },
+        before: { status: ticketDoc.status },
+        after: { status },
+        meta: { vendorEmail: ticketDoc.vendorEmail },
+      });
+      await notifyTicketStatus(updatedDoc);
+
       res.json({
         success: true,
         message: `Ticket ${status} successfully`,
@@ -1605,39 +8712,19 @@ app.put(
 app.put(
   "/api/admin/tickets/:id/advertise",
   verifyToken,
-
+  verifyAdmin,
+  validateBody(ticketAdvertiseSchema),
   async (req, res) => {
     try {
       const { isAdvertised } = req.body;
 
-      // Normalize id param
-      let ticketIdParam = req.params.id;
-      if (typeof ticketIdParam === "object" && ticketIdParam !== null) {
-        ticketIdParam = ticketIdParam.$oid || ticketIdParam.toString();
-      }
-      if (typeof ticketIdParam === "string")
-        ticketIdParam = ticketIdParam.trim();
-      console.log(
-        "🔍 PUT /api/admin/tickets/:id/advertise - id param:",
-        JSON.stringify(ticketIdParam)
-      );
+      const ticketId = new ObjectId(req.params.id);
 
       if (isAdvertised) {
-        // When counting, try to use ObjectId if possible, otherwise string comparison
-        let count = 0;
-        try {
-          count = await ticketsCollection.countDocuments({
-            isAdvertised: true,
-            _id: { $ne: new ObjectId(ticketIdParam) },
-          });
-          console.log("🔎 advertise count (using ObjectId):", count);
-        } catch (e) {
-          count = await ticketsCollection.countDocuments({
-            isAdvertised: true,
-            _id: { $ne: ticketIdParam },
-          });
-          console.log("🔎 advertise count (using string _id):", count);
-        }
+        const count = await ticketsCollection.countDocuments({
+          isAdvertised: true,
+          _id: { $ne: ticketId },
+        });
 
         if (count >= 6) {
           return res.status(400).json({
@@ -1647,36 +8734,9 @@ app.put(
         }
       }
 
-      // Lookup ticket (ObjectId then string)
-      let ticketDoc = null;
-      try {
-        const docs = await ticketsCollection
-          .find({ _id: new ObjectId(ticketIdParam) })
-          .limit(1)
-          .toArray();
-        console.log("🔎 ObjectId lookup count (advertise):", docs.length);
-        ticketDoc = docs[0] || null;
-      } catch (e) {
-        console.log(
-          "⚠ Invalid ObjectId or lookup failed (advertise):",
-          e.message
-        );
-      }
+      const ticketDoc = await ticketsCollection.findOne({ _id: ticketId });
 
       if (!ticketDoc) {
-        const docs = await ticketsCollection
-          .find({ _id: ticketIdParam })
-          .limit(1)
-          .toArray();
-        console.log("🔎 string _id lookup count (advertise):", docs.length);
-        ticketDoc = docs[0] || null;
-      }
-
-      if (!ticketDoc) {
-        console.log(
-          "❌ Ticket not found for id (advertise):",
-          JSON.stringify(ticketIdParam)
-        );
         return res
           .status(404)
           .json({ success: false, message: "Ticket not found" });
@@ -1697,6 +8757,13 @@ app.put(
 
       const updatedDoc = await ticketsCollection.findOne(filter);
 
+      await recordAudit(req, {
+        action: "ticket.advertise.update",
+        target: { type: "ticket", id: ticketDoc._id, label: ticketDoc.title },
+        before: { isAdvertised: Boolean(ticketDoc.isAdvertised) },
+        after: { isAdvertised },
+      });
+
       res.json({
         success: true,
         message: isAdvertised ? "Ticket advertised" : "Advertisement removed",
@@ -1708,10 +8775,78 @@ app.put(
   }
 );
 
+// PUT approve/reject a schedule. Approving generates its tickets right away
+// (see SCHEDULES); rejecting stops generation but keeps tickets already made.
+app.put(
+  "/api/admin/schedules/:id/status",
+  verifyToken,
+  verifyAdmin,
+  validateBody(scheduleStatusSchema),
+  async (req, res) => {
+    try {
+      const { status } = req.body;
+      const schedule = await schedulesCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!schedule) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Schedule not found" });
+      }
+
+      if (status === "approved" && ObjectId.isValid(schedule.vendorId)) {
+        const vendor = await usersCollection.findOne({
+          _id: new ObjectId(schedule.vendorId),
+        });
+        if (vendor?.isFraud) {
+          return res.status(409).json({
+            success: false,
+            message:
+              "This vendor is flagged as fraud; their schedules can't be approved",
+          });
+        }
+      }
+
+      const updated = await schedulesCollection.findOneAndUpdate(
+        { _id: schedule._id },
+        { $set: { status, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      const ticketsCreated = await materializeSchedule(updated);
+
+      if (status !== schedule.status) {
+        await recordAudit(req, {
+          action: "schedule.status.update",
+          target: {
+            type: "schedule",
+            id: schedule._id,
+            label: schedule.template.title,
+          },
+          before: { status: schedule.status },
+          after: { status },
+          meta: { vendorEmail: schedule.vendorEmail },
+        });
+        await notify(`schedule.${status}`, schedule.vendorEmail, {
+          schedule: updated,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Schedule ${status} successfully`,
+        data: { ...updated, ticketsCreated },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
 // GET all users
 app.get(
   "/api/admin/users",
   verifyToken,
+  verifyAdmin,
 
   async (req, res) => {
     try {
@@ -1734,71 +8869,24 @@ app.get(
 app.put(
   "/api/admin/users/:id/role",
   verifyToken,
+  verifyAdmin,
 
   async (req, res) => {
     try {
       const { role } = req.body;
 
-      // Normalize id parameter in case it's sent as an object (e.g., { $oid: '...' })
-      let userIdParam = req.params.id;
-      if (typeof userIdParam === "object" && userIdParam !== null) {
-        userIdParam = userIdParam.$oid || userIdParam.toString();
-      }
-      // Trim to remove accidental whitespace
-      if (typeof userIdParam === "string") userIdParam = userIdParam.trim();
-
-      console.log(
-        "🔍 PUT /api/admin/users/:id/role - id param:",
-        JSON.stringify(userIdParam),
-        "type:",
-        typeof userIdParam
-      );
-
-      // Try multiple lookup strategies for robustness
-      let userToUpdate = null;
-      try {
-        const docs = await usersCollection
-          .find({ _id: new ObjectId(userIdParam) })
-          .limit(1)
-          .toArray();
-        console.log("🔎 ObjectId lookup result count:", docs.length);
-        userToUpdate = docs[0] || null;
-      } catch (e) {
-        console.log("⚠ Invalid ObjectId or lookup failed:", e.message);
-      }
-
-      if (!userToUpdate) {
-        const docs = await usersCollection
-          .find({ _id: userIdParam })
-          .limit(1)
-          .toArray();
-        console.log("🔎 string _id lookup result count:", docs.length);
-        userToUpdate = docs[0] || null;
-      }
-
-      if (!userToUpdate) {
-        const docs = await usersCollection
-          .find({ email: userIdParam })
-          .limit(1)
-          .toArray();
-        console.log("🔎 email lookup result count:", docs.length);
-        userToUpdate = docs[0] || null;
+      if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${USER_ROLES.join(", ")}`,
+        });
       }
 
-      if (!userToUpdate) {
-        const docs = await usersCollection
-          .find({ uid: userIdParam })
-          .limit(1)
-          .toArray();
-        console.log("🔎 uid lookup result count:", docs.length);
-        userToUpdate = docs[0] || null;
-      }
+      const userToUpdate = await usersCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
 
       if (!userToUpdate) {
-        console.log(
-          "❌ User not found for id/email/uid:",
-          JSON.stringify(userIdParam)
-        );
         return res
           .status(404)
           .json({ success: false, message: "User not found" });
@@ -1835,6 +8923,13 @@ app.put(
         role: updatedDoc?.role,
       });
 
+      await recordAudit(req, {
+        action: "user.role.update",
+        target: { type: "user", id: userToUpdate._id, label: userToUpdate.email },
+        before: { role: userToUpdate.role || "user" },
+        after: { role },
+      });
+
       res.json({
         success: true,
         message: `User role updated to ${role}`,
@@ -1850,70 +8945,17 @@ app.put(
 app.put(
   "/api/admin/users/:id/fraud",
   verifyToken,
-
+  verifyAdmin,
+  validateBody(userFraudSchema),
   async (req, res) => {
     try {
       const { isFraud } = req.body;
 
-      // Normalize id parameter in case it's sent as an object (e.g., { $oid: '...' })
-      let userIdParam = req.params.id;
-      if (typeof userIdParam === "object" && userIdParam !== null) {
-        userIdParam = userIdParam.$oid || userIdParam.toString();
-      }
-      if (typeof userIdParam === "string") userIdParam = userIdParam.trim();
-
-      console.log(
-        "🔍 PUT /api/admin/users/:id/fraud - id param:",
-        JSON.stringify(userIdParam),
-        "type:",
-        typeof userIdParam
-      );
-
-      // Try multiple lookup strategies for robustness
-      let userToUpdate = null;
-      try {
-        const docs = await usersCollection
-          .find({ _id: new ObjectId(userIdParam) })
-          .limit(1)
-          .toArray();
-        console.log("🔎 ObjectId lookup result count:", docs.length);
-        userToUpdate = docs[0] || null;
-      } catch (e) {
-        console.log("⚠ Invalid ObjectId or lookup failed:", e.message);
-      }
-
-      if (!userToUpdate) {
-        const docs = await usersCollection
-          .find({ _id: userIdParam })
-          .limit(1)
-          .toArray();
-        console.log("🔎 string _id lookup result count:", docs.length);
-        userToUpdate = docs[0] || null;
-      }
-
-      if (!userToUpdate) {
-        const docs = await usersCollection
-          .find({ email: userIdParam })
-          .limit(1)
-          .toArray();
-        console.log("🔎 email lookup result count:", docs.length);
-        userToUpdate = docs[0] || null;
-      }
-
-      if (!userToUpdate) {
-        const docs = await usersCollection
-          .find({ uid: userIdParam })
-          .limit(1)
-          .toArray();
-        console.log("🔎 uid lookup result count:", docs.length);
-        userToUpdate = docs[0] || null;
-      }
+      const userToUpdate = await usersCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
 
       if (!userToUpdate) {
-        console.log(
-          "❌ User not found for id/email/uid:",
-          JSON.stringify(userIdParam)
-        );
         return res
           .status(404)
           .json({ success: false, message: "User not found" });
@@ -1946,6 +8988,8 @@ app.put(
 
       const updatedDoc = await usersCollection.findOne(filter);
 
+      let ticketsRejected = 0;
+      let schedulesRejected = 0;
       if (isFraud) {
         // vendorId in tickets may be stored as string; ensure we update using string representation
         const vendorIdForTickets = userToUpdate._id?.toString
@@ -1961,6 +9005,31 @@ app.put(
           "ticketUpdateResult:",
           ticketUpdateResult
         );
+        ticketsRejected = ticketUpdateResult.modifiedCount;
+
+        // ...and their schedules, so no new tickets are generated
+        const scheduleUpdateResult = await schedulesCollection.updateMany(
+          { vendorId: vendorIdForTickets, status: { $ne: "rejected" } },
+          { $set: { status: "rejected", updatedAt: new Date() } }
+        );
+        schedulesRejected = scheduleUpdateResult.modifiedCount;
+      }
+
+      await recordAudit(req, {
+        action: "user.fraud.update",
+        target: { type: "user", id: userToUpdate._id, label: userToUpdate.email },
+        before: { isFraud: Boolean(userToUpdate.isFraud) },
+        after: { isFraud },
+        ...(isFraud && { meta: { ticketsRejected, schedulesRejected } }),
+      });
+
+      if (Boolean(userToUpdate.isFraud) !== Boolean(isFraud)) {
+        await setReviewerFlag(userToUpdate.email, Boolean(isFraud));
+        await notify(
+          isFraud ? "account.flagged" : "account.unflagged",
+          userToUpdate.email,
+          { ticketsRejected, schedulesRejected }
+        );
       }
 
       console.log(
@@ -1979,6 +9048,249 @@ app.put(
     }
   }
 );
+
+// GET audit log, newest first. Filters: actor (email or user id), target
+// (id or email/title), action (comma-separated), from/to (ISO dates)
+app.get("/api/admin/audit-log", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { actor, target, action, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const conditions = [];
+    if (actor) {
+      conditions.push({
+        $or: [{ "actor.email": exactNameRegex(actor) }, { "actor.id": actor }],
+      });
+    }
+    if (target) {
+      conditions.push({
+        $or: [{ "target.id": target }, { "target.label": exactNameRegex(target) }],
+      });
+    }
+
+    const actions = csvList(action);
+    if (actions.length > 0) {
+      const unknown = actions.filter((name) => !AUDIT_ACTIONS.includes(name));
+      if (unknown.length > 0) {
+        return sendBadRequest(
+          res,
+          `Unknown action(s): ${unknown.join(", ")}. Valid: ${AUDIT_ACTIONS.join(", ")}`
+        );
+      }
+      conditions.push({ action: { $in: actions } });
+    }
+
+    if (from || to) {
+      const { range, error } = parseDateRange(from, to);
+      if (error) return sendBadRequest(res, error);
+      conditions.push({ createdAt: range });
+    }
+
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    const [entries, total] = await Promise.all([
+      auditLogCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      auditLogCollection.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// GET all reviews for moderation, newest first. Filters: status, ticketId,
+// vendorId, userEmail
+app.get("/api/admin/reviews", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status, ticketId, vendorId, userEmail } = req.query;
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return sendBadRequest(
+        res,
+        `Invalid status. Must be one of: ${REVIEW_STATUSES.join(", ")}`
+      );
+    }
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = {
+      ...(status && { status }),
+      ...(ticketId && { ticketId: String(ticketId) }),
+      ...(vendorId && { vendorId: String(vendorId) }),
+      ...(userEmail && { userEmail: exactNameRegex(userEmail) }),
+    };
+    const [reviews, total] = await Promise.all([
+      reviewsCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      reviewsCollection.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// PUT hide or restore a review. Hidden reviews leave the public list and
+// the rating aggregates.
+app.put(
+  "/api/admin/reviews/:id/moderation",
+  verifyToken,
+  verifyAdmin,
+  validateBody(reviewModerationSchema),
+  async (req, res) => {
+    try {
+      const { hidden, reason } = req.body;
+      const review = await reviewsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!review) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Review not found" });
+      }
+
+      const status = hidden ? "hidden" : "visible";
+      const updated = await reviewsCollection.findOneAndUpdate(
+        { _id: review._id },
+        {
+          $set: {
+            status,
+            moderation: hidden
+              ? { reason: reason || null, by: req.user.email, at: new Date() }
+              : null,
+            updatedAt: new Date(),
+          },
+        },
+        { returnDocument: "after" }
+      );
+
+      if (status !== review.status) {
+        await refreshRatings(review);
+        await recordAudit(req, {
+          action: hidden ? "review.hide" : "review.unhide",
+          target: { type: "review", id: review._id, label: review.ticketTitle },
+          before: { status: review.status },
+          after: { status },
+          meta: { userEmail: review.userEmail, reason: reason || null },
+        });
+      }
+
+      res.json({
+        success: true,
+        message: hidden ? "Review hidden" : "Review restored",
+        data: updated,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// GET exchange rates (public, for showing converted prices)
+app.get("/api/exchange-rates", async (req, res) => {
+  try {
+    const rates = await exchangeRatesCollection
+      .find({})
+      .project({ _id: 0, currency: 1, rate: 1, updatedAt: 1 })
+      .sort({ currency: 1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: BASE_CURRENCY,
+        rates: rates.map((rate) => ({
+          ...rate,
+          decimals: currencyDecimals(rate.currency),
+        })),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// PUT set a currency's rate (value of one unit in BASE_CURRENCY)
+app.put(
+  "/api/admin/exchange-rates/:currency",
+  verifyToken,
+  verifyAdmin,
+  validateBody(exchangeRateSchema),
+  async (req, res) => {
+    try {
+      const currency = req.params.currency.toUpperCase();
+      if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        return sendBadRequest(
+          res,
+          `Unsupported currency. Must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`
+        );
+      }
+      if (currency === BASE_CURRENCY) {
+        return sendBadRequest(
+          res,
+          `${BASE_CURRENCY} is the base currency; its rate is always 1`
+        );
+      }
+
+      const previous = await exchangeRatesCollection.findOneAndUpdate(
+        { currency },
+        {
+          $set: {
+            rate: req.body.rate,
+            updatedAt: new Date(),
+            updatedBy: req.user.email,
+          },
+        },
+        { upsert: true }
+      );
+      clearExchangeRateCache();
+
+      await recordAudit(req, {
+        action: "exchangeRate.update",
+        target: { type: "exchangeRate", id: currency, label: currency },
+        before: { rate: previous?.rate ?? null },
+        after: { rate: req.body.rate },
+      });
+
+      res.json({
+        success: true,
+        message: `Exchange rate for ${currency} updated`,
+        data: { currency, rate: req.body.rate, baseCurrency: BASE_CURRENCY },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
 //  
 // ERROR HANDLING
 //  
@@ -1991,6 +9303,14 @@ app.use((req, res) => {
 });
 
 app.use((error, req, res, next) => {
+  // body-parser: oversized or malformed bodies are client errors
+  if (error.type === "entity.too.large") {
+    return sendBadRequest(res, "Request body is too large");
+  }
+  if (error.type === "entity.parse.failed") {
+    return sendBadRequest(res, "Malformed JSON body");
+  }
+
   console.error("Server Error:", error);
   res.status(500).json({
     success: false,
@@ -1999,13 +9319,53 @@ app.use((error, req, res, next) => {
   });
 });
 
-connectDB().then(() => {
-  app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`🔒 JWT Authentication enabled`);
-    console.log(`💳 Stripe Payment enabled`);
+// Started directly (npm start); tests require the module without connecting
+if (require.main === module) {
+  connectDB().then(() => {
+    setInterval(() => {
+      releaseExpiredHolds().catch((err) =>
+        console.error("❌ Seat hold sweep failed:", err)
+      );
+    }, SEAT_HOLD_SWEEP_MS).unref();
+
+    setInterval(() => {
+      processEmailOutbox().catch((err) =>
+        console.error("❌ Email outbox sweep failed:", err)
+      );
+    }, EMAIL_SWEEP_MS).unref();
+
+    // Runs once at startup too, so a restart doesn't leave the horizon short
+    const sweepSchedules = () =>
+      materializeSchedules().catch((err) =>
+        console.error("❌ Schedule sweep failed:", err)
+      );
+    sweepSchedules();
+    setInterval(sweepSchedules, SCHEDULE_SWEEP_MS).unref();
+
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+      console.log(`🔒 JWT Authentication enabled`);
+      console.log(`💳 Stripe Payment enabled`);
+    });
   });
-});
+}
+
+module.exports = {
+  app,
+  bindCollections,
+  claimSeats,
+  createMockStripeClient,
+  fulfillCheckoutSession,
+  materializeSchedules,
+  refundQuote,
+  refundableAmount,
+  recordRefund,
+  issueRefund,
+  signBookingToken,
+  verifyBookingToken,
+  renderETicket,
+  stripeClient,
+};
 //  
 // START SERVER
 //  
@@ -0,0 +1,102 @@
+/*
+  send_stripe_webhook.js
+  Sends a signed fixture Stripe event to the local webhook endpoint, so the
+  payment flow can be exercised without a live Stripe account.
+  Usage: node scripts/send_stripe_webhook.js <eventType> <bookingId> [paymentIntentId]
+  Event types: checkout.session.completed, checkout.session.expired,
+               payment_intent.payment_failed, charge.refunded
+  charge.refunded only records refunds the server can list from Stripe (or
+  from the STRIPE_MOCK client) for the charge.
+*/
+
+const Stripe = require("stripe");
+require("dotenv").config();
+
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+if (!secret) {
+  console.error("STRIPE_WEBHOOK_SECRET not set in environment");
+  process.exit(1);
+}
+
+const [eventType, bookingId, paymentIntentId = `pi_test_${Date.now()}`] =
+  process.argv.slice(2);
+
+if (!eventType || !bookingId) {
+  console.error(
+    "Usage: node scripts/send_stripe_webhook.js <eventType> <bookingId> [paymentIntentId]"
+  );
+  process.exit(1);
+}
+
+const url =
+  process.env.WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 5000}/api/payment/webhook`;
+
+// Minimal payloads containing only the fields the server reads
+const fixtures = {
+  "checkout.session.completed": () => ({
+    id: `cs_test_${Date.now()}`,
+    object: "checkout.session",
+    payment_status: "paid",
+    payment_intent: paymentIntentId,
+    metadata: { bookingId },
+  }),
+  "checkout.session.expired": () => ({
+    id: `cs_test_${Date.now()}`,
+    object: "checkout.session",
+    payment_status: "unpaid",
+    payment_intent: null,
+    metadata: { bookingId },
+  }),
+  "payment_intent.payment_failed": () => ({
+    id: paymentIntentId,
+    object: "payment_intent",
+    metadata: { bookingId },
+    last_payment_error: { message: "Your card was declined." },
+  }),
+  "charge.refunded": () => ({
+    id: `ch_test_${Date.now()}`,
+    object: "charge",
+    payment_intent: paymentIntentId,
+    amount_refunded: Number(process.env.REFUND_AMOUNT || 0),
+    refunded: true,
+  }),
+};
+
+async function run() {
+  const buildObject = fixtures[eventType];
+  if (!buildObject) {
+    console.error("Unsupported event type:", eventType);
+    process.exit(1);
+  }
+
+  const payload = JSON.stringify({
+    id: process.env.EVENT_ID || `evt_test_${Date.now()}`,
+    object: "event",
+    type: eventType,
+    created: Math.floor(Date.now() / 1000),
+    data: { object: buildObject() },
+  });
+
+  const signature = Stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret,
+  });
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Stripe-Signature": signature,
+    },
+    body: payload,
+  });
+
+  console.log("Status:", response.status);
+  console.log(await response.text());
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+/*
+  watch_events.js
+  Connects to the real-time event stream and prints every event, for trying
+  the SSE channel without the web client.
+  Usage: node scripts/watch_events.js <firebaseIdToken> [ticketId,ticketId...]
+  Set EVENTS_URL to point somewhere other than the local server.
+*/
+
+require("dotenv").config();
+
+const [token, tickets] = process.argv.slice(2);
+
+if (!token) {
+  console.error(
+    "Usage: node scripts/watch_events.js <firebaseIdToken> [ticketId,ticketId...]"
+  );
+  process.exit(1);
+}
+
+const base =
+  process.env.EVENTS_URL ||
+  `http://localhost:${process.env.PORT || 5000}/api/events/stream`;
+const url = tickets ? `${base}?tickets=${encodeURIComponent(tickets)}` : base;
+
+async function run() {
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  if (!response.ok) {
+    console.error("Status:", response.status);
+    console.error(await response.text());
+    process.exit(1);
+  }
+
+  console.log("Connected, waiting for events (Ctrl+C to stop)");
+
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const fields = {};
+      for (const line of block.split("\n")) {
+        if (!line || line.startsWith(":")) continue;
+        const separator = line.indexOf(":");
+        fields[line.slice(0, separator)] = line.slice(separator + 1).trim();
+      }
+      if (fields.event) {
+        console.log(`[${new Date().toISOString()}] ${fields.event}`, fields.data);
+      }
+    }
+  }
+
+  console.log("Stream closed by server");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
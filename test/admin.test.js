@@ -0,0 +1,79 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { useFakeDb, request } = require("./support/server");
+
+const ADMIN = "admin@example.com";
+
+let users;
+let tickets;
+let vendor;
+let ticket;
+
+beforeEach(async () => {
+  const db = useFakeDb();
+  users = db.collection("users");
+  tickets = db.collection("ticketsCollection");
+
+  vendor = { _id: new ObjectId(), email: "vendor@example.com", role: "vendor" };
+  ticket = {
+    _id: new ObjectId(),
+    title: "Dhaka → Rajshahi",
+    vendorId: vendor._id.toString(),
+    vendorEmail: vendor.email,
+    status: "approved",
+    isAdvertised: false,
+  };
+  await users.insertOne({ email: ADMIN, role: "admin" });
+  await users.insertOne(vendor);
+  await tickets.insertOne(ticket);
+});
+
+test('isFraud: "false" clears the flag instead of rejecting tickets', async () => {
+  const res = await request("PUT", `/api/admin/users/${vendor._id}/fraud`, {
+    token: ADMIN,
+    body: { isFraud: "false" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal((await users.findOne({ _id: vendor._id })).isFraud, false);
+  assert.equal((await tickets.findOne({ _id: ticket._id })).status, "approved");
+});
+
+test("the fraud flag must be true or false", async () => {
+  const res = await request("PUT", `/api/admin/users/${vendor._id}/fraud`, {
+    token: ADMIN,
+    body: { isFraud: "maybe" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.errors[0].field, "isFraud");
+});
+
+test("an unknown ticket status is a 400", async () => {
+  const res = await request("PUT", `/api/admin/tickets/${ticket._id}/status`, {
+    token: ADMIN,
+    body: { status: "archived" },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.errors[0].field, "status");
+  assert.equal((await tickets.findOne({ _id: ticket._id })).status, "approved");
+});
+
+test("advertising takes a boolean", async () => {
+  const path = `/api/admin/tickets/${ticket._id}/advertise`;
+
+  const invalid = await request("PUT", path, {
+    token: ADMIN,
+    body: { isAdvertised: "yes" },
+  });
+  assert.equal(invalid.status, 400);
+
+  const res = await request("PUT", path, {
+    token: ADMIN,
+    body: { isAdvertised: "true" },
+  });
+  assert.equal(res.status, 200);
+  assert.equal((await tickets.findOne({ _id: ticket._id })).isAdvertised, true);
+});
@@ -0,0 +1,40 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { useFakeDb, request } = require("./support/server");
+
+let users;
+
+beforeEach(() => {
+  users = useFakeDb().collection("users");
+});
+
+// A ticket id that doesn't exist: getting past the role check means a 404
+const book = (token) =>
+  request("POST", "/api/bookings", {
+    token,
+    body: { ticketId: new ObjectId().toString(), bookingQuantity: 1 },
+  });
+
+test("travelers, vendors and admins can all book", async () => {
+  for (const role of ["user", "vendor", "admin"]) {
+    const email = `${role}@example.com`;
+    await users.insertOne({ email, role });
+
+    const res = await book(email);
+
+    assert.equal(res.status, 404, role);
+  }
+});
+
+test("fraud-flagged accounts can't book", async () => {
+  await users.insertOne({
+    email: "flagged@example.com",
+    role: "user",
+    isFraud: true,
+  });
+
+  const res = await book("flagged@example.com");
+
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,76 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { server } = require("./support/server");
+
+const { signBookingToken, verifyBookingToken, renderETicket } = server;
+
+// Fixed fixture, signed with the fixed BOOKING_TOKEN_SECRET of ./support/server
+const booking = {
+  _id: new ObjectId("64b7f0c2a1b2c3d4e5f60718"),
+  ticketId: "64b7f0c2a1b2c3d4e5f60700",
+  ticketTitle: "Dhaka → Cox's Bazar Express",
+  from: "Dhaka",
+  to: "Cox's Bazar",
+  departureDate: "2030-01-15",
+  departureTime: "14:30",
+  transportType: "bus",
+  vendorName: "Green Line",
+  passengerName: "Ayesha Rahman",
+  userEmail: "traveler@example.com",
+  bookingQuantity: 2,
+  seats: ["A1", "A2"],
+  totalPrice: 2400,
+  currency: "BDT",
+  status: "paid",
+  paymentDate: new Date("2029-12-01T09:15:00Z"),
+};
+
+const TOKEN =
+  "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9." +
+  "eyJiaWQiOiI2NGI3ZjBjMmExYjJjM2Q0ZTVmNjA3MTgiLCJ0aWQiOiI2NGI3ZjBjMmExYjJjM2Q0ZTVmNjA3MDAiLCJxdHkiOjIsImV4cCI6MTg5NDgwNDIwMCwiYXVkIjoiYm9hcmRpbmciLCJpc3MiOiJtYXZlbnV4In0." +
+  "feEm3ESorG8fr3yT3yNYjyXCD8tatWGaRjSEesjrN-Y";
+
+// Changes whenever the layout does, or a pdfkit/qrcode upgrade changes the
+// bytes: check the PDF by eye, then update it
+const PDF_SHA1 = "aeaafb0584e5c19fbc7a5dfc5c9623ebdb6892f8";
+
+const sha1 = (buffer) => crypto.createHash("sha1").update(buffer).digest("hex");
+
+test("signBookingToken gives the same token for the same booking", () => {
+  assert.equal(signBookingToken(booking), TOKEN);
+});
+
+test("the token decodes to the booking, valid until a day after departure", () => {
+  const { claims } = verifyBookingToken(TOKEN);
+
+  assert.deepEqual(claims, {
+    bid: "64b7f0c2a1b2c3d4e5f60718",
+    tid: "64b7f0c2a1b2c3d4e5f60700",
+    qty: 2,
+    exp: Date.parse("2030-01-16T14:30:00Z") / 1000,
+    aud: "boarding",
+    iss: "mavenux",
+  });
+});
+
+test("a tampered token is rejected", () => {
+  const [header, , signature] = TOKEN.split(".");
+  const payload = Buffer.from(
+    JSON.stringify({ bid: booking._id.toString(), qty: 9 })
+  ).toString("base64url");
+
+  assert.deepEqual(verifyBookingToken(`${header}.${payload}.${signature}`), {
+    error: "Invalid or tampered e-ticket",
+  });
+});
+
+test("renderETicket renders the same PDF every time", async () => {
+  const first = await renderETicket(booking, TOKEN);
+  const second = await renderETicket(booking, TOKEN);
+
+  assert.equal(first.subarray(0, 5).toString(), "%PDF-");
+  assert.equal(sha1(first), sha1(second));
+  assert.equal(sha1(first), PDF_SHA1);
+});
@@ -0,0 +1,143 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { server, useFakeDb } = require("./support/server");
+
+const { fulfillCheckoutSession } = server;
+
+let db;
+let bookings;
+let tickets;
+let seatHolds;
+let notifications;
+
+beforeEach(() => {
+  db = useFakeDb();
+  bookings = db.collection("bookingCollection");
+  tickets = db.collection("ticketsCollection");
+  seatHolds = db.collection("seatHolds");
+  notifications = db.collection("notifications");
+});
+
+// An accepted booking for 2 seats on a 40-seat ticket, with its seat hold
+// (`holdStatus`) and a reserved promo use
+async function storeAcceptedBooking({ holdStatus = "held", sold = 0 } = {}) {
+  const ticketId = new ObjectId();
+  const promoCodeId = new ObjectId();
+  const booking = {
+    _id: new ObjectId(),
+    ticketId: ticketId.toString(),
+    userEmail: "traveler@example.com",
+    vendorEmail: "vendor@example.com",
+    ticketTitle: "Dhaka → Sylhet",
+    bookingQuantity: 2,
+    totalPrice: 1800,
+    currency: "BDT",
+    exchangeRate: 1,
+    status: "accepted",
+    holdExpiresAt: new Date(Date.now() + 30 * 60 * 1000),
+    promo: { code: "SAVE10", discount: 200 },
+  };
+
+  await tickets.insertOne({
+    _id: ticketId,
+    title: booking.ticketTitle,
+    vendorEmail: booking.vendorEmail,
+    ticketQuantity: 40,
+    heldQuantity: holdStatus === "held" ? 2 : 0,
+    soldQuantity: sold,
+    status: "approved",
+  });
+  await seatHolds.insertOne({
+    bookingId: booking._id.toString(),
+    ticketId: booking.ticketId,
+    quantity: 2,
+    status: holdStatus,
+    expiresAt: booking.holdExpiresAt,
+  });
+  await db.collection("promoCodes").insertOne({
+    _id: promoCodeId,
+    code: "SAVE10",
+    usedCount: 1,
+  });
+  await db.collection("promoRedemptions").insertOne({
+    promoCodeId: promoCodeId.toString(),
+    code: "SAVE10",
+    bookingId: booking._id.toString(),
+    userEmail: booking.userEmail,
+    slot: booking._id.toString(),
+    status: "reserved",
+  });
+  await bookings.insertOne(booking);
+  return booking;
+}
+
+const session = (booking) => ({
+  payment_intent: "pi_test_1",
+  metadata: { bookingId: booking._id.toString() },
+});
+
+const events = async () =>
+  (await notifications.find({}).toArray()).map((n) => n.event);
+
+test("a paid session sells the held seats and confirms the payment", async () => {
+  const booking = await storeAcceptedBooking();
+
+  const result = await fulfillCheckoutSession(session(booking));
+
+  assert.equal(result.status, 200);
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.status, "paid");
+  assert.equal(stored.transactionId, "pi_test_1");
+
+  const ticket = await tickets.findOne({ _id: new ObjectId(booking.ticketId) });
+  assert.equal(ticket.heldQuantity, 0);
+  assert.equal(ticket.soldQuantity, 2);
+  assert.ok((await events()).includes("payment.confirmed"));
+
+  const redemption = await db.collection("promoRedemptions").findOne({});
+  assert.equal(redemption.status, "redeemed");
+});
+
+test("when the seats are gone the booking fails without confirming payment", async () => {
+  // The hold lapsed and the ticket sold out in the meantime
+  const booking = await storeAcceptedBooking({
+    holdStatus: "released",
+    sold: 40,
+  });
+
+  const result = await fulfillCheckoutSession(session(booking));
+
+  assert.equal(result.status, 409);
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.status, "payment_failed");
+  assert.equal(stored.transactionId, "pi_test_1");
+
+  const sent = await events();
+  assert.ok(!sent.includes("payment.confirmed"));
+  assert.ok(!sent.includes("payment.received"));
+
+  const redemption = await db.collection("promoRedemptions").findOne({});
+  assert.equal(redemption.status, "released");
+  const promo = await db.collection("promoCodes").findOne({});
+  assert.equal(promo.usedCount, 0);
+});
+
+test("verify and the webhook fulfilling at once sell the seats once", async () => {
+  const booking = await storeAcceptedBooking();
+
+  const results = await Promise.all([
+    fulfillCheckoutSession(session(booking)),
+    fulfillCheckoutSession(session(booking)),
+  ]);
+
+  // The second one finds the payment claimed and leaves it alone
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+  const ticket = await tickets.findOne({ _id: new ObjectId(booking.ticketId) });
+  assert.equal(ticket.soldQuantity, 2);
+  assert.equal(ticket.heldQuantity, 0);
+  assert.equal(
+    await db.collection("transactionCollection").countDocuments({}),
+    1
+  );
+});
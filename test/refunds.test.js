@@ -0,0 +1,340 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  server,
+  useFakeDb,
+  request,
+  sendStripeEvent,
+} = require("./support/server");
+
+const { createMockStripeClient, refundQuote, issueRefund, stripeClient } =
+  server;
+
+const HOUR = 60 * 60 * 1000;
+
+// departureDate/departureTime `hours` from `now`, in UTC (the trip timezone
+// is left unset)
+function departingIn(hours, now = new Date()) {
+  const iso = new Date(now.getTime() + hours * HOUR).toISOString();
+  return { departureDate: iso.slice(0, 10), departureTime: iso.slice(11, 16) };
+}
+
+function paidBooking(fields = {}) {
+  return {
+    _id: new ObjectId(),
+    ticketId: new ObjectId().toString(),
+    userEmail: "traveler@example.com",
+    vendorEmail: "vendor@example.com",
+    ticketTitle: "Dhaka → Chattogram",
+    totalPrice: 1000,
+    currency: "BDT",
+    exchangeRate: 1,
+    bookingQuantity: 1,
+    status: "paid",
+    transactionId: "pi_test_1",
+    ...departingIn(72),
+    ...fields,
+  };
+}
+
+// Mock Stripe client that records the refunds it was asked for
+function recordingStripe() {
+  const stripeApi = createMockStripeClient();
+  const create = stripeApi.refunds.create;
+  stripeApi.calls = [];
+  stripeApi.refunds.create = async (params, options) => {
+    stripeApi.calls.push({ params, options });
+    return create(params, options);
+  };
+  return stripeApi;
+}
+
+let db;
+let bookings;
+let transactions;
+
+// Stores the booking with its ticket, sold seat and traveler account
+async function storeBooking(booking) {
+  await db.collection("ticketsCollection").insertOne({
+    _id: new ObjectId(booking.ticketId),
+    title: booking.ticketTitle,
+    vendorEmail: booking.vendorEmail,
+    price: booking.totalPrice,
+    currency: booking.currency,
+    ticketQuantity: 40,
+    soldQuantity: booking.bookingQuantity,
+    heldQuantity: 0,
+    status: "approved",
+  });
+  await db.collection("seatHolds").insertOne({
+    bookingId: booking._id.toString(),
+    ticketId: booking.ticketId,
+    quantity: booking.bookingQuantity,
+    status: "sold",
+  });
+  await db
+    .collection("users")
+    .insertOne({ email: booking.userEmail, role: "user" });
+  await bookings.insertOne(booking);
+}
+
+beforeEach(async () => {
+  db = useFakeDb();
+  bookings = db.collection("bookingCollection");
+  transactions = db.collection("transactionCollection");
+});
+
+test("refundQuote refunds in full at least 48 hours before departure", () => {
+  const now = new Date("2026-03-01T08:00:00Z");
+  const quote = refundQuote(paidBooking(departingIn(72, now)), now);
+
+  assert.equal(quote.refundPercent, 100);
+  assert.equal(quote.refundAmount, 1000);
+  assert.equal(Math.round(quote.hoursBeforeDeparture), 72);
+});
+
+test("refundQuote refunds half between 24 and 48 hours before departure", () => {
+  const now = new Date("2026-03-01T08:00:00Z");
+  const quote = refundQuote(paidBooking(departingIn(30, now)), now);
+
+  assert.equal(quote.refundPercent, 50);
+  assert.equal(quote.refundAmount, 500);
+});
+
+test("refundQuote refunds nothing inside 24 hours", () => {
+  const now = new Date("2026-03-01T08:00:00Z");
+  const quote = refundQuote(paidBooking(departingIn(10, now)), now);
+
+  assert.equal(quote.refundPercent, 0);
+  assert.equal(quote.refundAmount, 0);
+});
+
+test("refundQuote only covers what hasn't been refunded yet", () => {
+  const now = new Date("2026-03-01T08:00:00Z");
+  const quote = refundQuote(
+    paidBooking({ ...departingIn(30, now), refundedAmount: 400 }),
+    now
+  );
+
+  assert.equal(quote.refundAmount, 300);
+});
+
+test("issueRefund refunds through Stripe and records the refund once", async () => {
+  const booking = paidBooking();
+  await bookings.insertOne(booking);
+  const stripeApi = recordingStripe();
+
+  const issued = await issueRefund(booking, 1000, {
+    reason: "Trip cancelled",
+    stripeApi,
+  });
+
+  assert.equal(stripeApi.calls.length, 1);
+  assert.equal(stripeApi.calls[0].params.payment_intent, "pi_test_1");
+  assert.equal(stripeApi.calls[0].params.amount, 100000);
+  assert.equal(issued.booking.refundedAmount, 1000);
+
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.refundedAmount, 1000);
+
+  const recorded = await transactions.find({}).toArray();
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].refundId, issued.refund.id);
+  assert.equal(recorded[0].amount, -1000);
+  assert.equal(recorded[0].status, "refunded");
+});
+
+test("issueRefund claims the amount first, so concurrent refunds can't both go out", async () => {
+  const booking = paidBooking();
+  await bookings.insertOne(booking);
+  const stripeApi = recordingStripe();
+
+  const results = await Promise.all([
+    issueRefund({ ...booking }, 1000, { stripeApi }),
+    issueRefund({ ...booking }, 1000, { stripeApi }),
+  ]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(stripeApi.calls.length, 1);
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.refundedAmount, 1000);
+  assert.equal(await transactions.countDocuments({}), 1);
+});
+
+test("issueRefund gives the claim back when Stripe fails", async () => {
+  const booking = paidBooking();
+  await bookings.insertOne(booking);
+  const stripeApi = createMockStripeClient();
+  stripeApi.refunds.create = async () => {
+    throw new Error("Stripe is unavailable");
+  };
+
+  await assert.rejects(
+    issueRefund(booking, 1000, { stripeApi }),
+    /Stripe is unavailable/
+  );
+
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.refundedAmount, 0);
+  assert.equal(await transactions.countDocuments({}), 0);
+
+  // ...so the refund can be retried
+  const retried = await issueRefund(stored, 1000, {
+    stripeApi: recordingStripe(),
+  });
+  assert.equal(retried.booking.refundedAmount, 1000);
+});
+
+test("cancelling with a partial refund leaves the booking cancelled, not refunded", async () => {
+  const booking = paidBooking(departingIn(30));
+  await storeBooking(booking);
+
+  const res = await request("POST", `/api/bookings/${booking._id}/cancel`, {
+    token: booking.userEmail,
+    body: { reason: "Plans changed" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.refund.refundPercent, 50);
+
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.status, "cancelled");
+  assert.equal(stored.refundedAmount, 500);
+  assert.equal(await transactions.countDocuments({ status: "refunded" }), 1);
+});
+
+test("cancelling with a full refund moves the booking to refunded", async () => {
+  const booking = paidBooking(departingIn(72));
+  await storeBooking(booking);
+
+  const res = await request("POST", `/api/bookings/${booking._id}/cancel`, {
+    token: booking.userEmail,
+  });
+
+  assert.equal(res.status, 200);
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.status, "refunded");
+  assert.equal(stored.refundedAmount, 1000);
+});
+
+test("a partial admin refund keeps the booking paid", async () => {
+  const booking = paidBooking();
+  await storeBooking(booking);
+  await db
+    .collection("users")
+    .insertOne({ email: "admin@example.com", role: "admin" });
+
+  const res = await request("POST", `/api/bookings/${booking._id}/refund`, {
+    token: "admin@example.com",
+    body: { amount: 300, reason: "Seat was broken" },
+  });
+
+  assert.equal(res.status, 200);
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.status, "paid");
+  assert.equal(stored.refundedAmount, 300);
+  const hold = await db
+    .collection("seatHolds")
+    .findOne({ bookingId: booking._id.toString() });
+  assert.equal(hold.status, "sold");
+});
+
+test("a refund made in the Stripe dashboard is recorded once", async () => {
+  const booking = paidBooking({ transactionId: "pi_dashboard" });
+  await storeBooking(booking);
+  await stripeClient.refunds.create({
+    charge: "ch_dashboard",
+    payment_intent: "pi_dashboard",
+    amount: 30000,
+  });
+  const charge = {
+    id: "ch_dashboard",
+    object: "charge",
+    payment_intent: "pi_dashboard",
+    amount_refunded: 30000,
+    refunded: false,
+  };
+
+  assert.equal((await sendStripeEvent("charge.refunded", charge)).status, 200);
+  assert.equal((await sendStripeEvent("charge.refunded", charge)).status, 200);
+
+  const recorded = await transactions.find({}).toArray();
+  assert.equal(recorded.length, 1);
+  assert.match(recorded[0].refundId, /^re_mock_/);
+  assert.equal(recorded[0].amount, -300);
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.refundedAmount, 300);
+  assert.equal(stored.status, "paid");
+});
+
+test("a refund this server issued but didn't record isn't counted twice", async () => {
+  // The claim counted it on the booking, then the server stopped before
+  // recording the transaction
+  const booking = paidBooking({
+    transactionId: "pi_crashed",
+    refundedAmount: 1000,
+  });
+  await storeBooking(booking);
+  await stripeClient.refunds.create({
+    charge: "ch_crashed",
+    payment_intent: "pi_crashed",
+    amount: 100000,
+    metadata: { bookingId: booking._id.toString() },
+  });
+
+  const res = await sendStripeEvent("charge.refunded", {
+    id: "ch_crashed",
+    object: "charge",
+    payment_intent: "pi_crashed",
+    amount_refunded: 100000,
+    refunded: true,
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(await transactions.countDocuments({}), 1);
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.refundedAmount, 1000);
+  assert.equal(stored.status, "refunded");
+});
+
+test("refund, cancel and status bodies are validated", async () => {
+  const booking = paidBooking();
+  await storeBooking(booking);
+  await db
+    .collection("users")
+    .insertOne({ email: "admin@example.com", role: "admin" });
+  const path = `/api/bookings/${booking._id}`;
+
+  const refund = await request("POST", `${path}/refund`, {
+    token: "admin@example.com",
+    body: { amount: "a lot" },
+  });
+  assert.equal(refund.status, 400);
+  assert.equal(refund.body.errors[0].field, "amount");
+
+  const cancel = await request("POST", `${path}/cancel`, {
+    token: booking.userEmail,
+    body: { reason: "x".repeat(501) },
+  });
+  assert.equal(cancel.status, 400);
+  assert.equal(cancel.body.errors[0].field, "reason");
+
+  const status = await request("PUT", `${path}/status`, {
+    token: "admin@example.com",
+    body: { status: "completed", note: { text: "done" } },
+  });
+  assert.equal(status.status, 400);
+  assert.equal(status.body.errors[0].field, "note");
+
+  const unknown = await request("PUT", `${path}/status`, {
+    token: "admin@example.com",
+    body: { status: "teleported" },
+  });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.errors[0].field, "status");
+
+  const stored = await bookings.findOne({ _id: booking._id });
+  assert.equal(stored.status, "paid");
+  assert.equal(stored.refundedAmount, undefined);
+});
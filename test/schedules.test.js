@@ -0,0 +1,99 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { server, useFakeDb, request } = require("./support/server");
+
+const { materializeSchedules } = server;
+
+let db;
+let users;
+let schedules;
+let tickets;
+
+beforeEach(() => {
+  db = useFakeDb();
+  users = db.collection("users");
+  schedules = db.collection("schedules");
+  tickets = db.collection("ticketsCollection");
+});
+
+async function storeVendor(fields = {}) {
+  const vendor = {
+    _id: new ObjectId(),
+    email: "vendor@example.com",
+    role: "vendor",
+    ...fields,
+  };
+  await users.insertOne(vendor);
+  return vendor;
+}
+
+// An approved daily schedule starting today, 3 days ahead
+async function storeSchedule(vendor) {
+  const schedule = {
+    _id: new ObjectId(),
+    vendorId: vendor._id.toString(),
+    vendorEmail: vendor.email,
+    template: {
+      title: "Dhaka → Khulna",
+      from: "Dhaka",
+      to: "Khulna",
+      transportType: "bus",
+      price: 700,
+      ticketQuantity: 30,
+      departureTime: "08:00",
+    },
+    frequency: "daily",
+    days: null,
+    startDate: new Date().toISOString().slice(0, 10),
+    endDate: null,
+    horizonDays: 3,
+    status: "approved",
+  };
+  await schedules.insertOne(schedule);
+  return schedule;
+}
+
+test("the sweep generates an approved schedule's dates", async () => {
+  const vendor = await storeVendor();
+  await storeSchedule(vendor);
+
+  await materializeSchedules();
+
+  assert.equal(await tickets.countDocuments({ status: "approved" }), 4);
+});
+
+test("the sweep skips schedules of fraud-flagged vendors", async () => {
+  const vendor = await storeVendor({ isFraud: true });
+  await storeSchedule(vendor);
+
+  await materializeSchedules();
+
+  assert.equal(await tickets.countDocuments({}), 0);
+});
+
+test("flagging a vendor as fraud rejects their schedules", async () => {
+  const vendor = await storeVendor();
+  const schedule = await storeSchedule(vendor);
+  await users.insertOne({ email: "admin@example.com", role: "admin" });
+
+  const res = await request("PUT", `/api/admin/users/${vendor._id}/fraud`, {
+    token: "admin@example.com",
+    body: { isFraud: true },
+  });
+
+  assert.equal(res.status, 200);
+  const stored = await schedules.findOne({ _id: schedule._id });
+  assert.equal(stored.status, "rejected");
+
+  await materializeSchedules();
+  assert.equal(await tickets.countDocuments({}), 0);
+
+  // ...and an admin can't approve them again while the flag stands
+  const approve = await request(
+    "PUT",
+    `/api/admin/schedules/${schedule._id}/status`,
+    { token: "admin@example.com", body: { status: "approved" } }
+  );
+  assert.equal(approve.status, 409);
+});
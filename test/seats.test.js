@@ -0,0 +1,74 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { server, useFakeDb, request } = require("./support/server");
+
+const { claimSeats } = server;
+
+let db;
+let seatAssignments;
+
+beforeEach(() => {
+  db = useFakeDb();
+  seatAssignments = db.collection("seatAssignments");
+});
+
+// Makes insertMany store the documents except those at `failing` indexes,
+// then fail the way the driver's unordered bulk insert does
+function failInsertsAt(failing) {
+  seatAssignments.insertMany = async (docs) => {
+    const writeErrors = [];
+    for (const [index, doc] of docs.entries()) {
+      if (failing[index]) {
+        writeErrors.push({ index, code: failing[index] });
+      } else {
+        await seatAssignments.insertOne(doc);
+      }
+    }
+    throw Object.assign(new Error("bulk write failed"), {
+      code: writeErrors[0].code,
+      writeErrors,
+    });
+  };
+}
+
+test("claimSeats reports seats another booking holds as conflicts", async () => {
+  failInsertsAt({ 1: 11000 });
+
+  const result = await claimSeats(new ObjectId(), new ObjectId(), [
+    "A1",
+    "A2",
+    "A3",
+  ]);
+
+  assert.deepEqual(result, { conflicts: ["A2"] });
+  assert.equal(await seatAssignments.countDocuments({}), 0);
+});
+
+test("claimSeats rethrows write errors other than taken seats", async () => {
+  // 121: the document failed the collection validator
+  failInsertsAt({ 0: 11000, 2: 121 });
+
+  await assert.rejects(
+    claimSeats(new ObjectId(), new ObjectId(), ["A1", "A2", "A3"]),
+    /bulk write failed/
+  );
+  assert.equal(await seatAssignments.countDocuments({}), 0);
+});
+
+test("a booking can't choose more seats than bookingQuantity allows", async () => {
+  await db
+    .collection("users")
+    .insertOne({ email: "traveler@example.com", role: "user" });
+  const seats = Array.from({ length: 51 }, (_, i) => `S${i + 1}`);
+
+  const res = await request("POST", "/api/bookings", {
+    token: "traveler@example.com",
+    body: { ticketId: new ObjectId().toString(), seats },
+  });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors, [
+    { field: "seats", message: "seats must have at most 50 items" },
+  ]);
+});
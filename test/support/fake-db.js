@@ -0,0 +1,431 @@
+// In-memory stand-in for the slice of the MongoDB driver the server uses.
+// Single-threaded, so every update is atomic like a single-document write.
+const { ObjectId } = require("mongodb");
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof ObjectId);
+
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, doc);
+  parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node?.[key], doc);
+  if (parent) delete parent[last];
+}
+
+function clone(value) {
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+}
+
+function equals(a, b) {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return String(a) === String(b);
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => equals(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => equals(a[key], b[key]))
+    );
+  }
+  return a === b;
+}
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+// An array field matches when any of its items does, as in MongoDB
+function matchesValue(value, condition) {
+  if (isPlainObject(condition) && Object.keys(condition)[0]?.startsWith("$")) {
+    return Object.entries(condition).every(([op, arg]) =>
+      matchesOperator(value, op, arg)
+    );
+  }
+  if (condition === null) return value === undefined || value === null;
+  if (Array.isArray(value) && !Array.isArray(condition)) {
+    return value.some((item) => equals(item, condition));
+  }
+  return equals(value, condition);
+}
+
+function matchesOperator(value, op, arg) {
+  const values = Array.isArray(value) ? value : [value];
+  switch (op) {
+    case "$eq":
+      return matchesValue(value, arg);
+    case "$ne":
+      return !matchesValue(value, arg);
+    case "$in":
+      return arg.some((item) => matchesValue(value, item));
+    case "$nin":
+      return !arg.some((item) => matchesValue(value, item));
+    case "$gt":
+      return values.some((v) => v != null && comparable(v) > comparable(arg));
+    case "$gte":
+      return values.some((v) => v != null && comparable(v) >= comparable(arg));
+    case "$lt":
+      return values.some((v) => v != null && comparable(v) < comparable(arg));
+    case "$lte":
+      return values.some((v) => v != null && comparable(v) <= comparable(arg));
+    case "$exists":
+      return (value !== undefined) === Boolean(arg);
+    case "$not":
+      return !matchesValue(value, arg);
+    case "$type":
+      return typeof value === arg;
+    case "$elemMatch":
+      return (
+        Array.isArray(value) && value.some((item) => matches(item, arg))
+      );
+    default:
+      throw new Error(`fake-db: unsupported query operator ${op}`);
+  }
+}
+
+// Aggregation expressions used inside $expr
+function evaluate(doc, expr) {
+  if (typeof expr === "string" && expr.startsWith("$")) {
+    return getPath(doc, expr.slice(1));
+  }
+  if (Array.isArray(expr)) return expr.map((item) => evaluate(doc, item));
+  if (!isPlainObject(expr)) return expr;
+
+  const [[op, arg]] = Object.entries(expr);
+  const args = () =>
+    (Array.isArray(arg) ? arg : [arg]).map((item) => evaluate(doc, item));
+  switch (op) {
+    case "$and":
+      return args().every(Boolean);
+    case "$or":
+      return args().some(Boolean);
+    case "$eq":
+      return equals(...args());
+    case "$gt":
+    case "$gte":
+    case "$lt":
+    case "$lte": {
+      const [a, b] = args();
+      return matchesOperator(a, op, b);
+    }
+    case "$add":
+      return args().reduce((sum, n) => sum + n, 0);
+    case "$subtract": {
+      const [a, b] = args();
+      return a - b;
+    }
+    case "$ifNull": {
+      const [value, fallback] = args();
+      return value ?? fallback;
+    }
+    case "$arrayElemAt": {
+      const [list, index] = args();
+      return Array.isArray(list) ? list[index] : undefined;
+    }
+    case "$convert": {
+      const input = evaluate(doc, arg.input);
+      if (input === undefined || input === null) return arg.onNull;
+      const number = Number(input);
+      return Number.isNaN(number) ? arg.onError : number;
+    }
+    default:
+      throw new Error(`fake-db: unsupported expression operator ${op}`);
+  }
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$expr") return Boolean(evaluate(doc, condition));
+    if (key === "$or") return condition.some((f) => matches(doc, f));
+    if (key === "$and") return condition.every((f) => matches(doc, f));
+    if (key === "$nor") return !condition.some((f) => matches(doc, f));
+    return matchesValue(getPath(doc, key), condition);
+  });
+}
+
+function applyUpdate(doc, update, inserting) {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [path, arg] of Object.entries(fields)) {
+      switch (op) {
+        case "$set":
+          setPath(doc, path, clone(arg));
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, clone(arg));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) || 0) + arg);
+          break;
+        case "$push": {
+          const list = getPath(doc, path) || [];
+          const items = arg?.$each || [arg];
+          setPath(doc, path, [...list, ...items.map(clone)]);
+          break;
+        }
+        case "$addToSet": {
+          const list = getPath(doc, path) || [];
+          const items = (arg?.$each || [arg]).filter(
+            (item) => !list.some((existing) => equals(existing, item))
+          );
+          setPath(doc, path, [...list, ...items.map(clone)]);
+          break;
+        }
+        case "$pull":
+          setPath(
+            doc,
+            path,
+            (getPath(doc, path) || []).filter(
+              (item) => !matchesValue(item, arg)
+            )
+          );
+          break;
+        default:
+          throw new Error(`fake-db: unsupported update operator ${op}`);
+      }
+    }
+  }
+}
+
+function project(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+  const entries = Object.entries(projection);
+  if (entries.some(([, on]) => on)) {
+    const picked = { _id: doc._id };
+    for (const [path, on] of entries) {
+      if (on && getPath(doc, path) !== undefined) {
+        setPath(picked, path, getPath(doc, path));
+      }
+    }
+    if (projection._id === 0) delete picked._id;
+    return picked;
+  }
+  const rest = clone(doc);
+  for (const [path] of entries) unsetPath(rest, path);
+  return rest;
+}
+
+function sortDocs(docs, sort) {
+  const keys = Object.entries(sort || {});
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const x = comparable(getPath(a, path));
+      const y = comparable(getPath(b, path));
+      if (x === y) continue;
+      if (x === undefined) return -direction;
+      if (y === undefined) return direction;
+      return x < y ? -direction : direction;
+    }
+    return 0;
+  });
+}
+
+const duplicateKeyError = (field) =>
+  Object.assign(new Error(`E11000 duplicate key error on ${field}`), {
+    code: 11000,
+  });
+
+class FakeCursor {
+  constructor(docs) {
+    this.docs = docs;
+  }
+  sort(sort) {
+    this.docs = sortDocs(this.docs, sort);
+    return this;
+  }
+  skip(n) {
+    this.docs = this.docs.slice(n);
+    return this;
+  }
+  limit(n) {
+    if (n) this.docs = this.docs.slice(0, n);
+    return this;
+  }
+  project(projection) {
+    this.docs = this.docs.map((doc) => project(doc, projection));
+    return this;
+  }
+  async toArray() {
+    return this.docs;
+  }
+}
+
+class FakeCollection {
+  // `unique` lists fields that behave like unique sparse indexes
+  constructor(name, { unique = [] } = {}) {
+    this.name = name;
+    this.docs = [];
+    this.unique = unique;
+  }
+
+  checkUnique(doc, ignore) {
+    for (const field of this.unique) {
+      const value = getPath(doc, field);
+      if (value === undefined || value === null) continue;
+      if (
+        this.docs.some(
+          (other) => other !== ignore && equals(getPath(other, field), value)
+        )
+      ) {
+        throw duplicateKeyError(field);
+      }
+    }
+  }
+
+  find(filter, options = {}) {
+    let docs = this.docs.filter((doc) => matches(doc, filter)).map(clone);
+    if (options.sort) docs = sortDocs(docs, options.sort);
+    if (options.projection) {
+      docs = docs.map((doc) => project(doc, options.projection));
+    }
+    return new FakeCursor(docs);
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.find(filter, options).docs;
+    return doc || null;
+  }
+
+  async countDocuments(filter) {
+    return this.docs.filter((doc) => matches(doc, filter)).length;
+  }
+
+  async insertOne(doc) {
+    if (!doc._id) doc._id = new ObjectId();
+    if (this.docs.some((other) => equals(other._id, doc._id))) {
+      throw duplicateKeyError("_id");
+    }
+    this.checkUnique(doc);
+    this.docs.push(clone(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    for (const doc of docs) await this.insertOne(doc);
+    return { acknowledged: true, insertedCount: docs.length };
+  }
+
+  updateDoc(doc, update) {
+    const updated = clone(doc);
+    applyUpdate(updated, update, false);
+    this.checkUnique(updated, doc);
+    this.docs[this.docs.indexOf(doc)] = updated;
+    return updated;
+  }
+
+  upsert(filter, update) {
+    const doc = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (!key.startsWith("$") && !isPlainObject(value)) {
+        setPath(doc, key, clone(value));
+      }
+    }
+    applyUpdate(doc, update, true);
+    if (!doc._id) doc._id = new ObjectId();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const doc = this.docs.find((d) => matches(d, filter));
+    if (!doc) {
+      if (!options.upsert) return { matchedCount: 0, modifiedCount: 0 };
+      const inserted = this.upsert(filter, update);
+      return { matchedCount: 0, modifiedCount: 0, upsertedId: inserted._id };
+    }
+    this.updateDoc(doc, update);
+    return { matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.docs.filter((d) => matches(d, filter));
+    for (const doc of docs) this.updateDoc(doc, update);
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const doc = this.docs.find((d) => matches(d, filter));
+    if (!doc) {
+      if (!options.upsert) return null;
+      const inserted = this.upsert(filter, update);
+      return options.returnDocument === "after" ? clone(inserted) : null;
+    }
+    const updated = this.updateDoc(doc, update);
+    return clone(options.returnDocument === "after" ? updated : doc);
+  }
+
+  async findOneAndDelete(filter) {
+    const doc = this.docs.find((d) => matches(d, filter));
+    if (!doc) return null;
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return clone(doc);
+  }
+
+  async deleteOne(filter) {
+    const index = this.docs.findIndex((d) => matches(d, filter));
+    if (index === -1) return { deletedCount: 0 };
+    this.docs.splice(index, 1);
+    return { deletedCount: 1 };
+  }
+
+  async deleteMany(filter) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter((d) => !matches(d, filter));
+    return { deletedCount: before - this.docs.length };
+  }
+
+  async createIndex() {}
+}
+
+// Collections are created on first use; `unique` maps a collection name to
+// the fields its unique indexes cover
+function createFakeDb({ unique = {} } = {}) {
+  const collections = new Map();
+  return {
+    collections,
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(
+          name,
+          new FakeCollection(name, { unique: unique[name] })
+        );
+      }
+      return collections.get(name);
+    },
+  };
+}
+
+module.exports = { createFakeDb };
@@ -0,0 +1,99 @@
+// Loads index.js for tests: no MongoDB connection, no listening port, a
+// throwaway Firebase credential, and ID tokens that are just the email.
+const crypto = require("crypto");
+const Stripe = require("stripe");
+const { createFakeDb } = require("./fake-db");
+
+// The server logs every request to stdout, which Node 20's test runner also
+// uses to report results; a busy stdout can garble that report. Set
+// TEST_LOGS=1 to see the logs.
+if (!process.env.TEST_LOGS) console.log = () => {};
+
+process.env.MONGODB_URI ||= "mongodb://127.0.0.1:27017";
+// Empty rather than deleted, so a developer's .env can't fill them back in
+// (and point the tests at a live Stripe account)
+Object.assign(process.env, {
+  STRIPE_SECRET_KEY: "",
+  STRIPE_MOCK: "true",
+  TRIP_TIME_ZONE: "",
+  CANCELLATION_POLICY: "",
+  BASE_CURRENCY: "",
+  EMAIL_TRANSPORT: "console",
+  BOOKING_TOKEN_SECRET: "test-booking-token-secret",
+  STRIPE_WEBHOOK_SECRET: "whsec_test",
+});
+
+const { privateKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  publicKeyEncoding: { type: "spki", format: "pem" },
+});
+process.env.FIREBASE_SERVICE_ACCOUNT = JSON.stringify({
+  project_id: "mavenux-test",
+  client_email: "test@mavenux-test.iam.gserviceaccount.com",
+  private_key: privateKey,
+});
+
+const { Auth } = require("firebase-admin/auth");
+Auth.prototype.verifyIdToken = async (token) => ({ email: token });
+
+const server = require("../../index");
+
+// Fresh fake database per test, with the unique indexes the tests rely on
+function useFakeDb() {
+  const db = createFakeDb({
+    unique: {
+      transactionCollection: ["refundId"],
+      stripeEvents: ["eventId"],
+    },
+  });
+  server.bindCollections(db);
+  return db;
+}
+
+// Sends one request to the app as `token` (the signed-in user's email).
+// `rawBody` is sent as is, with `headers`.
+async function request(method, path, { token, body, rawBody, headers } = {}) {
+  const listener = server.app.listen(0);
+  await new Promise((resolve) => listener.once("listening", resolve));
+  try {
+    const res = await fetch(
+      `http://127.0.0.1:${listener.address().port}${path}`,
+      {
+        method,
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...((body || rawBody) && { "Content-Type": "application/json" }),
+          ...headers,
+        },
+        body: rawBody ?? (body && JSON.stringify(body)),
+      }
+    );
+    return { status: res.status, body: await res.json() };
+  } finally {
+    listener.closeAllConnections();
+    await new Promise((resolve) => listener.close(resolve));
+  }
+}
+
+let eventCounter = 0;
+
+// Delivers a Stripe event to the webhook, signed with STRIPE_WEBHOOK_SECRET
+function sendStripeEvent(type, object) {
+  const payload = JSON.stringify({
+    id: `evt_test_${++eventCounter}`,
+    object: "event",
+    type,
+    data: { object },
+  });
+  const signature = Stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+  });
+  return request("POST", "/api/payment/webhook", {
+    rawBody: payload,
+    headers: { "Stripe-Signature": signature },
+  });
+}
+
+module.exports = { server, useFakeDb, request, sendStripeEvent };